@@ -9,18 +9,65 @@ const CONFIG = {
         MAX_PAGES: 100,
         MAX_CONSECUTIVE_FAILURES: 5,
         TIMEOUT_MS: 5000,
+        // Timeouts, 5xx responses and network errors are retried with exponential backoff
+        // (500ms, 1s, 2s, ... capped at MAX_DELAY_MS); a 404 always means the page is missing
+        RETRY: {
+            MAX_RETRIES: 3,
+            BASE_DELAY_MS: 500,
+            MAX_DELAY_MS: 4000
+        },
         // Format priority: tried in order, first successful format cached for subsequent pages
         // PNG included as final fallback for backward compatibility
         FORMAT_PRIORITY: ['avif', 'webp', 'png'],
+        // Per-page format overrides for mixed-format folders, e.g. { 7: 'png' }
+        // Formats that load are also remembered per page for the session, so repeat visits don't probe
+        PAGE_FORMATS: {},
         FILENAME_PATTERN: 'page_',
-        FILENAME_PADDING: 2
+        FILENAME_PADDING: 2,
+        // Number of page fetches running in parallel
+        CONCURRENCY: 3,
+        // Optional manifest listing each page's files, dimensions and sizes, e.g. 'images/manifest.json'
+        // When set, pages load from it directly instead of being probed (null: probe, without requesting a manifest)
+        MANIFEST_FILE: null,
+        // Width variants stored per format, e.g. images/avif/1600/page_01.avif
+        // Leave empty to always load the single full-resolution file
+        VARIANT_WIDTHS: [],
+        // Optional blurred previews for probe mode, e.g. 'images/previews.json': { "pages": [{ "page": 1, "blurhash": "..." }] }
+        // With a manifest, put "preview" / "blurhash" on its page entries instead (null: no previews file is requested)
+        PREVIEW_FILE: null,
+        // Rendered page width, matching .portfolio-container (93% of the viewport, capped at 2000px)
+        SIZES: '(min-width: 2150px) 2000px, 93vw'
     },
     HOTSPOT: {
-        FILE: 'config/hotspots.txt',
+        FILE: 'config/hotspots.txt',  // Or a JSON file following config/schema/hotspots.schema.json
         MIN_TOUCH_SIZE: 5,
         MIN_TOUCH_SCALE: 0.04,
         DISCOVERY_DELAY: 2500,
-        DISCOVERY_ANIMATION_DURATION: 3000
+        DISCOVERY_ANIMATION_DURATION: 3000,
+        // Optional 7th column in hotspots.txt; lines without it are YouTube hotspots
+        TYPES: ['youtube', 'playlist', 'vimeo', 'video', 'audio', 'image', 'link', 'page'],
+        VIDEO_EXTENSIONS: ['mp4', 'webm'],
+        AUDIO_EXTENSIONS: ['mp3', 'm4a', 'ogg', 'wav'],
+        IMAGE_EXTENSIONS: ['avif', 'webp', 'png', 'jpg', 'jpeg', 'gif', 'svg'],
+        LINK_PROTOCOLS: ['http:', 'https:', 'mailto:'],
+        LABEL_BELOW_TOP: 10  // Hotspots closer than this (%) to the top of the page show their label below
+    },
+    PAGE_METADATA: {
+        // Optional titles, alt text, captions and descriptions:
+        // { "pages": [{ "page": 1, "title": "...", "alt": "...", "caption": "...", "description": "..." }] }
+        FILE: 'config/pages.json',
+        // Pages count as current (for the document title) while they cross this band of the viewport
+        CURRENT_PAGE_MARGIN: '-40% 0px -40% 0px'
+    },
+    COLLECTIONS: {
+        // Named collections sharing one deployment, switched by hash: #furniture, #furniture/page-3
+        // Leave empty for a single portfolio using the IMAGE / HOTSPOT / ANIMATION_HINT files
+        // With IMAGE.MANIFEST_FILE / PREVIEW_FILE set, each collection reads those file names from its own folder
+        LIST: [
+            // { id: 'architecture', title: 'Architecture', folder: 'images/', hotspots: 'config/hotspots.txt', animations: 'config/animations.txt' },
+            // { id: 'furniture', title: 'Furniture', folder: 'images/furniture/', hotspots: 'config/furniture/hotspots.txt', pages: 'config/furniture/pages.json' }
+        ],
+        NAV_ID: 'collection-nav'
     },
     BREAKPOINTS: {
         MOBILE: 768,
@@ -29,7 +76,12 @@ const CONFIG = {
     ZOOMIST: {
         MAX_SCALE: 4,
         WHEEL_RATIO: 0.1,
-        DISABLE_FOR_TESTING: false  // Set to true to disable Zoomist initialization (for testing)
+        DISABLE_FOR_TESTING: false,  // Set to true to disable Zoomist initialization (for testing)
+        // Zoomist loads from the CDN (a third-party request) the first time a page needs zooming.
+        // To self-host, copy zoomist.umd.js and zoomist.css from the zoomist@2 npm package into LOCAL_PATH
+        SELF_HOSTED: false,
+        CDN_URL: 'https://cdn.jsdelivr.net/npm/zoomist@2/',
+        LOCAL_PATH: 'vendor/zoomist/'
     },
     LOADER: {
         ID: 'loading-overlay',
@@ -43,10 +95,33 @@ const CONFIG = {
         HOTSPOT_ROOT_MARGIN: '0px'
     },
     ANIMATION_HINT: {
-        FILE: 'config/animations.txt',
+        FILE: 'config/animations.txt',  // Or a JSON file following config/schema/animations.schema.json
         ICONS_FOLDER: 'assets/icons/',
         DEFAULT_DELAY: 0
     },
+    VIRTUALIZATION: {
+        ENABLED: false,  // Set to true to unload far-offscreen pages (saves memory on long portfolios)
+        // Pages farther than this from the viewport are unloaded; they re-render as they come back within it
+        ROOT_MARGIN: '300% 0px'
+    },
+    NETWORK: {
+        // Lite profile on Save-Data or slow connections (navigator.connection): smaller width variants,
+        // only a few pages loaded ahead of the reader, animation icons fetched when their page is near
+        LITE_PROFILE: true,
+        LITE_EFFECTIVE_TYPES: ['slow-2g', '2g', '3g'],
+        // Pages loaded ahead of the furthest page the reader has reached
+        LITE_EAGER_PAGES: 2,
+        // Width variants are picked as if the screen had at most this pixel ratio
+        LITE_MAX_PIXEL_RATIO: 1,
+        TOGGLE_ID: 'quality-toggle'
+    },
+    OFFLINE: {
+        ENABLED: false,  // Set to true to register the service worker for offline viewing
+        SERVICE_WORKER: 'sw.js',
+        // Bump to invalidate offline copies (e.g. after replacing images without a manifest)
+        CACHE_VERSION: '1',
+        INDICATOR_ID: 'offline-indicator'
+    },
     PERFORMANCE: {
         RESIZE_DEBOUNCE_MS: 150,
         ORIENTATION_CHANGE_DELAY_MS: 200
@@ -57,6 +132,24 @@ const CONFIG = {
         PATTERNS: [
             /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([^&\n?#]+)/,
             /^([a-zA-Z0-9_-]{11})$/
+        ],
+        // Playlist links (any URL with list=) and bare playlist IDs, for playlist hotspots
+        PLAYLIST_PATTERNS: [
+            /[?&]list=([a-zA-Z0-9_-]+)/,
+            /^((?:PL|OL|UU|FL|RD)[a-zA-Z0-9_-]{12,})$/
+        ]
+    },
+    PRIVACY: {
+        // Ask before the first YouTube or Vimeo player loads (a third-party request);
+        // the reader can have the answer remembered in localStorage
+        EMBED_CONSENT: true
+    },
+    VIMEO: {
+        EMBED_BASE_URL: 'https://player.vimeo.com/video/',
+        EMBED_PARAMS: 'autoplay=1&dnt=1',
+        PATTERNS: [
+            /vimeo\.com\/(?:.*\/)?(\d+)/,
+            /^(\d+)$/
         ]
     },
     SELECTORS: {
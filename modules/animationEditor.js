@@ -0,0 +1,632 @@
+/**
+ * Animation Editor Module
+ * Visual animation placement, enabled by opening the site with ?edit=animations
+ * Place icons on the rendered pages, move and scale them, preview their timing,
+ * then copy the result in animations.txt format
+ * Shares the pointer helpers of the hotspot editor (hotspotEditor.js)
+ */
+
+// Settings for newly placed animations (timing is copied from the selected animation when there is one)
+const EDITOR_ANIMATION_DEFAULTS = {
+    size: 20,
+    duration: 5000,
+    triggerType: 'visible'
+};
+
+// Editor state: entries survive page virtualization; they are reloaded when the animation config changes
+const animationEditor = {
+    entries: null,
+    nextId: 1,
+    selected: null,
+    drag: null,
+    panel: null,
+    preview: null,
+    folderIcons: [],
+    collectionId: undefined
+};
+
+/**
+ * Check if the animation editor is enabled (?edit=animations)
+ * @returns {boolean} True in editor mode
+ */
+function isAnimationEditorActive() {
+    return new URLSearchParams(window.location.search).get('edit') === 'animations';
+}
+
+/**
+ * Load editor entries from the parsed animation config
+ */
+function loadAnimationEditorEntries() {
+    animationEditor.entries = appState.getAnimationConfigs().map(config => ({
+        ...config,
+        id: animationEditor.nextId++
+    }));
+    animationEditor.collectionId = appState.getCollectionId();
+    animationEditor.selected = null;
+}
+
+/**
+ * List the SVG icons available for placement
+ * Reads the icons folder's directory listing when the server provides one (python -m http.server does);
+ * icons already used in the config are always listed
+ * @returns {Promise<void>}
+ */
+async function loadEditorIconFolder() {
+    try {
+        const response = await fetch(CONFIG.ANIMATION_HINT.ICONS_FOLDER);
+        if (!response.ok) {
+            return;
+        }
+        
+        const listing = await response.text();
+        animationEditor.folderIcons = Array.from(listing.matchAll(/href="([^"?#]+\.svg)"/gi))
+            .map(match => decodeURIComponent(match[1].split('/').pop()));
+        updateEditorIconList();
+    } catch (error) {
+        ErrorHandler.log('No icon folder listing available - type the icon filename instead');
+    }
+}
+
+/**
+ * Refresh the icon suggestions from the folder listing and the current entries
+ */
+function updateEditorIconList() {
+    if (!animationEditor.panel) {
+        return;
+    }
+    
+    const icons = new Set(animationEditor.folderIcons);
+    (animationEditor.entries || []).forEach(entry => icons.add(entry.iconFile));
+    
+    const list = animationEditor.panel.querySelector('#animation-editor-icons');
+    list.replaceChildren(...Array.from(icons).sort().map(icon => DOM.createElement('option', null, { value: icon })));
+    
+    const iconInput = animationEditor.panel.querySelector('#animation-editor-icon');
+    if (!iconInput.value && icons.size > 0) {
+        iconInput.value = Array.from(icons).sort()[0];
+    }
+}
+
+/**
+ * Position an editor animation with the same math as createAnimationElement()
+ * @param {HTMLElement} element - .editor-animation element
+ * @param {Object} entry - Editor entry
+ */
+function positionEditorAnimation(element, entry) {
+    const width = entry.size;
+    const height = entry.size / entry.aspectRatio;
+    element.style.left = `${entry.centerX - width / 2}%`;
+    element.style.top = `${entry.centerY - height / 2}%`;
+    element.style.width = `${width}%`;
+    element.style.height = `${height}%`;
+}
+
+/**
+ * Find the element of an entry on the rendered pages
+ * @param {Object} entry - Editor entry
+ * @returns {HTMLElement|null} .editor-animation element, or null if its page isn't rendered
+ */
+function findEditorAnimation(entry) {
+    return document.querySelector(`.editor-animation[data-editor-id="${entry.id}"]`);
+}
+
+/**
+ * Add an entry's animation to a page, rendered by createAnimationElement() and kept visible
+ * @param {Object} entry - Editor entry
+ * @param {HTMLElement} zoomistImage - .zoomist-image element of the entry's page
+ * @returns {Promise<void>}
+ */
+async function addEditorAnimation(entry, zoomistImage) {
+    const element = await createAnimationElement(entry);
+    
+    // The entry may have been deleted or re-rendered while the icon loaded
+    const existing = findEditorAnimation(entry);
+    if (existing) {
+        existing.remove();
+    }
+    if (!element || !animationEditor.entries.includes(entry) || !zoomistImage.isConnected) {
+        return;
+    }
+    
+    entry.aspectRatio = getSVGAspectRatio(element.querySelector('svg')) || 1;
+    element.classList.add('editor-animation');
+    element.classList.toggle('selected', entry === animationEditor.selected);
+    element.dataset.editorId = String(entry.id);
+    element.style.opacity = '1';
+    element.style.visibility = 'visible';
+    element.appendChild(DOM.createElement('span', 'editor-handle', { 'aria-hidden': 'true' }));
+    positionEditorAnimation(element, entry);
+    zoomistImage.appendChild(element);
+}
+
+/**
+ * Draw the editor animations of one page
+ * @param {HTMLElement} pageDiv - Page element
+ */
+function renderEditorAnimations(pageDiv) {
+    const zoomistImage = pageDiv.querySelector(CONFIG.SELECTORS.ZOOMIST_IMAGE);
+    if (!zoomistImage || !animationEditor.entries) {
+        return;
+    }
+    
+    const pageNumber = parseInt(pageDiv.dataset.page, 10);
+    animationEditor.entries
+        .filter(entry => entry.pageNumber === pageNumber)
+        .forEach(entry => {
+            addEditorAnimation(entry, zoomistImage).catch(error => {
+                ErrorHandler.warn(`Could not show ${entry.iconFile} in the animation editor`, error);
+            });
+        });
+}
+
+/**
+ * Select an entry (or clear the selection) and sync the panel
+ * @param {Object|null} entry - Editor entry
+ */
+function selectEditorAnimation(entry) {
+    animationEditor.selected = entry;
+    document.querySelectorAll('.editor-animation').forEach(element => {
+        element.classList.toggle('selected', entry !== null && element.dataset.editorId === String(entry.id));
+    });
+    updateAnimationEditorPanel();
+}
+
+/**
+ * Delete the selected entry
+ */
+function deleteSelectedEditorAnimation() {
+    const entry = animationEditor.selected;
+    if (!entry) {
+        return;
+    }
+    
+    animationEditor.entries = animationEditor.entries.filter(candidate => candidate !== entry);
+    const element = findEditorAnimation(entry);
+    if (element) {
+        element.remove();
+    }
+    selectEditorAnimation(null);
+    updateAnimationEditorOutput();
+}
+
+/**
+ * Apply changed fields to an entry and redraw it
+ * @param {Object} entry - Editor entry
+ * @param {Object} changes - Fields to change
+ */
+function updateEditorAnimation(entry, changes) {
+    Object.assign(entry, changes);
+    
+    const element = findEditorAnimation(entry);
+    if (element) {
+        positionEditorAnimation(element, entry);
+    }
+    updateAnimationEditorOutput();
+}
+
+/**
+ * Place a new animation, or start moving or scaling an existing one
+ * Runs in the capture phase so page gestures never see the pointer
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleAnimationEditorPointerDown(event) {
+    if (event.button !== 0 || !(event.target instanceof Element)) {
+        return;
+    }
+    
+    const zoomistImage = event.target.closest(CONFIG.SELECTORS.ZOOMIST_IMAGE);
+    const pageDiv = zoomistImage && zoomistImage.closest(CONFIG.SELECTORS.PORTFOLIO_PAGE);
+    if (!pageDiv) {
+        return;
+    }
+    
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const start = getEditorPointerPosition(event, zoomistImage);
+    const element = event.target.closest('.editor-animation');
+    
+    if (element) {
+        const entry = animationEditor.entries.find(candidate => String(candidate.id) === element.dataset.editorId);
+        selectEditorAnimation(entry);
+        animationEditor.drag = {
+            mode: event.target.closest('.editor-handle') ? 'scale' : 'move',
+            entry,
+            zoomistImage,
+            start,
+            origin: { centerX: entry.centerX, centerY: entry.centerY, size: entry.size }
+        };
+        return;
+    }
+    
+    const iconFile = animationEditor.panel.querySelector('#animation-editor-icon').value.trim();
+    if (!iconFile.endsWith('.svg')) {
+        animationEditor.panel.querySelector('.animation-editor-status').textContent = 'Choose an SVG icon first';
+        return;
+    }
+    
+    const timingSource = animationEditor.selected || {
+        duration: EDITOR_ANIMATION_DEFAULTS.duration,
+        delay: CONFIG.ANIMATION_HINT.DEFAULT_DELAY,
+        triggerType: EDITOR_ANIMATION_DEFAULTS.triggerType
+    };
+    const entry = {
+        id: animationEditor.nextId++,
+        pageNumber: parseInt(pageDiv.dataset.page, 10),
+        centerX: start.x,
+        centerY: start.y,
+        size: EDITOR_ANIMATION_DEFAULTS.size,
+        iconFile,
+        duration: timingSource.duration,
+        delay: timingSource.delay,
+        triggerType: timingSource.triggerType
+    };
+    animationEditor.entries.push(entry);
+    selectEditorAnimation(entry);
+    updateEditorIconList();
+    updateAnimationEditorOutput();
+    addEditorAnimation(entry, zoomistImage).catch(error => {
+        ErrorHandler.warn(`Could not show ${iconFile} in the animation editor`, error);
+    });
+}
+
+/**
+ * Update the animation being moved or scaled
+ * Scaling keeps the center in place, like the center-based config
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleAnimationEditorPointerMove(event) {
+    const drag = animationEditor.drag;
+    if (!drag) {
+        return;
+    }
+    
+    const point = getEditorPointerPosition(event, drag.zoomistImage);
+    const deltaX = point.x - drag.start.x;
+    const deltaY = point.y - drag.start.y;
+    
+    if (drag.mode === 'move') {
+        updateEditorAnimation(drag.entry, {
+            centerX: clampEditorValue(drag.origin.centerX + deltaX, 0, 100),
+            centerY: clampEditorValue(drag.origin.centerY + deltaY, 0, 100)
+        });
+    } else {
+        updateEditorAnimation(drag.entry, {
+            size: Math.max(1, drag.origin.size + deltaX * 2)
+        });
+        updateAnimationEditorPanel();
+    }
+}
+
+/**
+ * Finish the current drag
+ */
+function handleAnimationEditorPointerUp() {
+    animationEditor.drag = null;
+}
+
+/**
+ * Delete or nudge the selected animation from the keyboard
+ * Arrow keys move by 0.1% (1% with Shift)
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleAnimationEditorKeydown(event) {
+    const entry = animationEditor.selected;
+    if (!entry || event.target.closest('input, select, textarea')) {
+        return;
+    }
+    
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+        event.preventDefault();
+        deleteSelectedEditorAnimation();
+        return;
+    }
+    
+    const directions = {
+        ArrowLeft: [-1, 0],
+        ArrowRight: [1, 0],
+        ArrowUp: [0, -1],
+        ArrowDown: [0, 1]
+    };
+    const direction = directions[event.key];
+    if (!direction) {
+        return;
+    }
+    
+    event.preventDefault();
+    const step = event.shiftKey ? 1 : 0.1;
+    updateEditorAnimation(entry, {
+        centerX: clampEditorValue(entry.centerX + direction[0] * step, 0, 100),
+        centerY: clampEditorValue(entry.centerY + direction[1] * step, 0, 100)
+    });
+}
+
+/**
+ * Play the selected animation with its delay and duration, as readers will see it
+ * The editor copy dims while the preview runs; a second click restarts the preview
+ * @returns {Promise<void>}
+ */
+async function previewEditorAnimation() {
+    const entry = animationEditor.selected;
+    const element = entry && findEditorAnimation(entry);
+    if (!element) {
+        return;
+    }
+    
+    stopEditorAnimationPreview();
+    
+    const preview = await createAnimationElement({ ...entry });
+    if (!preview) {
+        return;
+    }
+    preview.classList.add('editor-animation-preview');
+    element.classList.add('previewing');
+    element.parentNode.appendChild(preview);
+    
+    const status = animationEditor.panel.querySelector('.animation-editor-status');
+    const trigger = entry.triggerType === 'hover'
+        ? 'when the pointer enters the page (desktop only)'
+        : 'when the page scrolls into view';
+    status.textContent = `Starts ${trigger}: appears after ${entry.delay} ms, hides after ${entry.duration} ms`;
+    
+    startAnimationTimers(preview, entry);
+    
+    // startAnimationTimers() removes the preview itself; allow for its fade-out before restoring the editor copy
+    const timer = setTimeout(() => {
+        stopEditorAnimationPreview();
+        status.textContent = '';
+    }, entry.delay + entry.duration + 700);
+    animationEditor.preview = { preview, element, timer };
+}
+
+/**
+ * Stop a running timing preview
+ */
+function stopEditorAnimationPreview() {
+    const running = animationEditor.preview;
+    if (!running) {
+        return;
+    }
+    
+    clearTimeout(running.timer);
+    running.preview.remove();
+    running.element.classList.remove('previewing');
+    animationEditor.preview = null;
+}
+
+/**
+ * Build the animations.txt export from the current entries
+ * @returns {string} Config lines, in page order
+ */
+function buildAnimationEditorExport() {
+    return (animationEditor.entries || [])
+        .slice()
+        .sort((a, b) => a.pageNumber - b.pageNumber)
+        .map(entry => formatAnimationLine(entry))
+        .join('\n');
+}
+
+/**
+ * Refresh the export textarea
+ */
+function updateAnimationEditorOutput() {
+    if (!animationEditor.panel) {
+        return;
+    }
+    animationEditor.panel.querySelector('.animation-editor-output').value = buildAnimationEditorExport();
+}
+
+/**
+ * Sync the panel fields with the selected animation
+ * The icon field stays enabled - it picks the icon for the next placement
+ */
+function updateAnimationEditorPanel() {
+    if (!animationEditor.panel) {
+        return;
+    }
+    
+    const entry = animationEditor.selected;
+    const panel = animationEditor.panel;
+    
+    ['#animation-editor-size', '#animation-editor-duration', '#animation-editor-delay', '#animation-editor-trigger',
+        '.animation-editor-preview', '.animation-editor-delete'].forEach(selector => {
+        panel.querySelector(selector).disabled = !entry;
+    });
+    
+    if (entry) {
+        panel.querySelector('#animation-editor-icon').value = entry.iconFile;
+        panel.querySelector('#animation-editor-size').value = Number(entry.size.toFixed(2));
+        panel.querySelector('#animation-editor-duration').value = entry.duration;
+        panel.querySelector('#animation-editor-delay').value = entry.delay;
+        panel.querySelector('#animation-editor-trigger').value = entry.triggerType;
+    }
+}
+
+/**
+ * Copy the export to the clipboard, falling back to selecting it
+ */
+function copyAnimationEditorExport() {
+    const output = animationEditor.panel.querySelector('.animation-editor-output');
+    const status = animationEditor.panel.querySelector('.animation-editor-status');
+    
+    const fallback = () => {
+        output.select();
+        status.textContent = 'Press Ctrl+C (Cmd+C) to copy';
+    };
+    
+    if (!navigator.clipboard) {
+        fallback();
+        return;
+    }
+    navigator.clipboard.writeText(output.value)
+        .then(() => {
+            status.textContent = 'Copied - paste into config/animations.txt';
+        })
+        .catch(fallback);
+}
+
+/**
+ * Create a labelled panel field
+ * @param {string} label - Label text
+ * @param {HTMLElement} control - Input or select (must have an id)
+ * @returns {Array<HTMLElement>} Label and control
+ */
+function createAnimationEditorField(label, control) {
+    return [DOM.createElement('label', null, { for: control.id, textContent: label }), control];
+}
+
+/**
+ * Create the editor panel
+ * @returns {HTMLElement} Panel element
+ */
+function createAnimationEditorPanel() {
+    const iconInput = DOM.createElement('input', null, {
+        id: 'animation-editor-icon',
+        type: 'text',
+        list: 'animation-editor-icons',
+        placeholder: 'icon.svg',
+        autocomplete: 'off'
+    });
+    const sizeInput = DOM.createElement('input', null, { id: 'animation-editor-size', type: 'number', min: '1', step: '0.5' });
+    const durationInput = DOM.createElement('input', null, { id: 'animation-editor-duration', type: 'number', min: '1', step: '100' });
+    const delayInput = DOM.createElement('input', null, { id: 'animation-editor-delay', type: 'number', min: '0', step: '100' });
+    const triggerSelect = DOM.createElement('select', null, { id: 'animation-editor-trigger' }, [
+        DOM.createElement('option', null, { value: 'visible', textContent: 'visible' }),
+        DOM.createElement('option', null, { value: 'hover', textContent: 'hover' })
+    ]);
+    const previewButton = DOM.createElement('button', 'animation-editor-preview', { type: 'button', textContent: 'Preview timing' });
+    const deleteButton = DOM.createElement('button', 'animation-editor-delete', { type: 'button', textContent: 'Delete' });
+    const copyButton = DOM.createElement('button', 'animation-editor-copy', { type: 'button', textContent: 'Copy animations.txt' });
+    const output = DOM.createElement('textarea', 'editor-panel-output animation-editor-output', {
+        readonly: '',
+        rows: '6',
+        'aria-label': 'animations.txt lines',
+        spellcheck: 'false'
+    });
+    
+    const panel = DOM.createElement('aside', 'editor-panel animation-editor', { 'aria-label': 'Animation editor' }, [
+        DOM.createElement('h2', null, { textContent: 'Animation editor' }),
+        DOM.createElement('p', 'editor-panel-hint', {
+            textContent: 'Click a page to place the icon. Drag an animation to move it, or its corner to scale it. Arrow keys nudge, Delete removes.'
+        }),
+        ...createAnimationEditorField('Icon', iconInput),
+        DOM.createElement('datalist', null, { id: 'animation-editor-icons' }),
+        ...createAnimationEditorField('Size (%)', sizeInput),
+        ...createAnimationEditorField('Duration (ms)', durationInput),
+        ...createAnimationEditorField('Delay (ms)', delayInput),
+        ...createAnimationEditorField('Trigger', triggerSelect),
+        previewButton,
+        deleteButton,
+        output,
+        copyButton,
+        DOM.createElement('p', 'editor-panel-status animation-editor-status', { role: 'status' })
+    ]);
+    
+    iconInput.addEventListener('change', () => {
+        const entry = animationEditor.selected;
+        const iconFile = iconInput.value.trim();
+        if (!entry || !iconFile.endsWith('.svg') || iconFile === entry.iconFile) return;
+        
+        entry.iconFile = iconFile;
+        const element = findEditorAnimation(entry);
+        if (element) {
+            addEditorAnimation(entry, element.parentNode).catch(error => {
+                ErrorHandler.warn(`Could not show ${iconFile} in the animation editor`, error);
+            });
+        }
+        updateEditorIconList();
+        updateAnimationEditorOutput();
+    });
+    
+    // Number fields only apply valid values, matching what validateAnimationConfig() accepts
+    [[sizeInput, 'size', value => value > 0],
+        [durationInput, 'duration', value => value > 0],
+        [delayInput, 'delay', value => value >= 0]].forEach(([input, field, isValid]) => {
+        input.addEventListener('input', () => {
+            const value = parseFloat(input.value);
+            if (!animationEditor.selected || isNaN(value) || !isValid(value)) return;
+            updateEditorAnimation(animationEditor.selected, { [field]: value });
+        });
+    });
+    triggerSelect.addEventListener('change', () => {
+        if (!animationEditor.selected) return;
+        updateEditorAnimation(animationEditor.selected, { triggerType: triggerSelect.value });
+    });
+    previewButton.addEventListener('click', () => {
+        previewEditorAnimation().catch(error => {
+            ErrorHandler.warn('Animation preview failed', error);
+        });
+    });
+    deleteButton.addEventListener('click', deleteSelectedEditorAnimation);
+    copyButton.addEventListener('click', copyAnimationEditorExport);
+    
+    return panel;
+}
+
+/**
+ * Add editor animations to a freshly rendered page (no-op outside editor mode)
+ * @param {HTMLElement} pageDiv - Page element
+ */
+function attachAnimationEditorToPage(pageDiv) {
+    if (!isAnimationEditorActive()) {
+        return;
+    }
+    renderEditorAnimations(pageDiv);
+}
+
+/**
+ * Reload the editor after the animation config loads (or a collection switch reloads it)
+ * Unsaved edits are kept unless the collection changed
+ */
+function refreshAnimationEditor() {
+    if (!isAnimationEditorActive()) {
+        return;
+    }
+    
+    if (!animationEditor.entries || animationEditor.collectionId !== appState.getCollectionId()) {
+        stopEditorAnimationPreview();
+        loadAnimationEditorEntries();
+    }
+    document.querySelectorAll('.editor-animation').forEach(element => element.remove());
+    document.querySelectorAll(CONFIG.SELECTORS.PORTFOLIO_PAGE).forEach(renderEditorAnimations);
+    updateEditorIconList();
+    updateAnimationEditorPanel();
+    updateAnimationEditorOutput();
+}
+
+/**
+ * Initialize the animation editor when the page is opened with ?edit=animations
+ */
+function initializeAnimationEditor() {
+    if (!isAnimationEditorActive()) {
+        return;
+    }
+    
+    document.body.classList.add('animation-editing');
+    animationEditor.panel = createAnimationEditorPanel();
+    document.body.appendChild(animationEditor.panel);
+    updateAnimationEditorPanel();
+    loadEditorIconFolder();
+    
+    document.addEventListener('pointerdown', handleAnimationEditorPointerDown, true);
+    document.addEventListener('pointermove', handleAnimationEditorPointerMove);
+    document.addEventListener('pointerup', handleAnimationEditorPointerUp);
+    document.addEventListener('pointercancel', handleAnimationEditorPointerUp);
+    document.addEventListener('keydown', handleAnimationEditorKeydown);
+    
+    if (typeof window.PortfolioApp !== 'undefined') {
+        /**
+         * Animation editor (only with ?edit=animations)
+         * @namespace PortfolioApp.animationEditor
+         *
+         * @example
+         * // Current animations in animations.txt format
+         * PortfolioApp.animationEditor.export();
+         */
+        window.PortfolioApp.animationEditor = {
+            export: buildAnimationEditorExport
+        };
+    }
+    
+    ErrorHandler.log('Animation editor enabled');
+}
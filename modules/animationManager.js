@@ -67,98 +67,183 @@ async function loadAnimationCSS(iconFile) {
     }
 }
 
+/**
+ * Validate an animation configuration object
+ * @param {Object} parsed - { pageNum, centerX, centerY, size, iconFile, duration, delay, triggerType, source }
+ *   from a text line or a JSON entry
+ * @returns {Object|null} Validated config or null
+ */
+function validateAnimationConfig(parsed) {
+    const { pageNum, centerX, centerY, size, iconFile, duration, delay = '0', triggerType = 'visible', source } = parsed;
+    const warn = (field, message) => ErrorHandler.warn(Validation.describeConfigIssue(source, field, message));
+    
+    // Parse and validate
+    const parsedPageNum = parseInt(pageNum);
+    if (!Validation.validatePageNumber(parsedPageNum)) {
+        warn('page', `Invalid page number "${pageNum}"`);
+        return null;
+    }
+    
+    const parsedCenterX = parseFloat(centerX);
+    const parsedCenterY = parseFloat(centerY);
+    const parsedSize = parseFloat(size);
+    const parsedDuration = parseFloat(duration);
+    let parsedDelay = parseFloat(delay);
+    
+    // Validate percentages for center position and size
+    if (!Validation.validatePercentage(parsedCenterX)) {
+        warn('centerX', `Invalid center position "${centerX}" (must be 0-100)`);
+        return null;
+    }
+    
+    if (!Validation.validatePercentage(parsedCenterY)) {
+        warn('centerY', `Invalid center position "${centerY}" (must be 0-100)`);
+        return null;
+    }
+    
+    // Validate size as positive number (can be > 100% for oversized animations)
+    if (!Validation.validatePositiveNumber(parsedSize)) {
+        warn('size', `Invalid size "${size}" (must be > 0)`);
+        return null;
+    }
+    
+    // Validate duration
+    if (!Validation.validatePositiveNumber(parsedDuration)) {
+        warn('duration', `Invalid duration "${duration}"`);
+        return null;
+    }
+    
+    if (isNaN(parsedDelay) || parsedDelay < 0) {
+        warn('delay', `Invalid delay "${delay}" (must be >= 0, defaulting to 0)`);
+        parsedDelay = 0;
+    }
+    
+    // Validate icon filename
+    if (typeof iconFile !== 'string' || !iconFile.endsWith('.svg')) {
+        warn('icon', `Invalid icon filename "${iconFile}"`);
+        return null;
+    }
+    
+    // Validate and normalize trigger type
+    const normalizedTriggerType = String(triggerType).toLowerCase();
+    let finalTriggerType = 'visible'; // Default
+    
+    if (normalizedTriggerType === 'hover' || normalizedTriggerType === 'visible') {
+        finalTriggerType = normalizedTriggerType;
+    } else if (triggerType && triggerType !== 'visible') {
+        // Only warn if trigger type was explicitly provided but invalid
+        warn('trigger', `Invalid trigger type "${triggerType}" (defaulting to "visible")`);
+    }
+    
+    return {
+        pageNumber: parsedPageNum,
+        centerX: parsedCenterX,
+        centerY: parsedCenterY,
+        size: parsedSize,
+        iconFile: iconFile,
+        duration: parsedDuration,
+        delay: parsedDelay,
+        triggerType: finalTriggerType
+    };
+}
+
+/**
+ * Read the animations from a JSON config (see config/schema/animations.schema.json)
+ * Warnings cite the entry's path, e.g. animations[2].size
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} Entries ready for validateAnimationConfig()
+ */
+function parseAnimationJson(text) {
+    const entries = Validation.parseConfigJson(text, 'animations');
+    if (!entries) {
+        return [];
+    }
+    
+    const parsed = [];
+    entries.forEach((entry, index) => {
+        const path = `animations[${index}]`;
+        if (!Validation.validateConfigEntry(entry, path, ['page', 'centerX', 'centerY', 'size', 'icon', 'duration'], ['delay', 'trigger'])) {
+            return;
+        }
+        
+        parsed.push({
+            pageNum: entry.page,
+            centerX: entry.centerX,
+            centerY: entry.centerY,
+            size: entry.size,
+            iconFile: entry.icon,
+            duration: entry.duration,
+            delay: entry.delay === undefined ? 0 : entry.delay,
+            triggerType: entry.trigger === undefined ? 'visible' : entry.trigger,
+            source: { path }
+        });
+    });
+    return parsed;
+}
+
 /**
  * Parse animation configuration text
+ * Accepts the line format of animations.txt or a JSON config ({ "animations": [...] })
  * @param {string} text - Configuration text
  * @returns {Array} Array of validated animation configs
  */
 function parseAnimationConfig(text) {
-    const configs = [];
-    const lines = text.split('\n');
-    
-    for (let line of lines) {
-        line = line.trim();
-        if (line === '' || line.startsWith('#')) continue;
-        
-        const parts = line.split(',').map(p => p.trim());
-        
-        // Support 6-8 parameters (with optional delay and optional trigger type)
-        // New format: page_number, centerX%, centerY%, size%, icon_filename, duration_ms, delay_ms, trigger_type
-        if (parts.length < 6 || parts.length > 8) {
-            ErrorHandler.warn(`Invalid animation config line: ${line}`);
-            continue;
-        }
-        
-        const [pageNum, centerX, centerY, size, iconFile, duration, delay = '0', triggerType = 'visible'] = parts;
-        
-        // Parse and validate
-        const parsedPageNum = parseInt(pageNum);
-        if (!Validation.validatePageNumber(parsedPageNum)) {
-            ErrorHandler.warn(`Invalid page number "${pageNum}" in animation config: ${line}`);
-            continue;
-        }
-        
-        const parsedCenterX = parseFloat(centerX);
-        const parsedCenterY = parseFloat(centerY);
-        const parsedSize = parseFloat(size);
-        const parsedDuration = parseFloat(duration);
-        const parsedDelay = parseFloat(delay);
-        
-        // Parse animation configuration
-        
-        // Validate percentages for center position and size
-        if (!Validation.validatePercentage(parsedCenterX) || !Validation.validatePercentage(parsedCenterY)) {
-            ErrorHandler.warn(`Invalid center position percentages in animation config: ${line}`);
-            continue;
-        }
-        
-        // Validate size as positive number (can be > 100% for oversized animations)
-        if (!Validation.validatePositiveNumber(parsedSize)) {
-            ErrorHandler.warn(`Invalid size value in animation config (must be > 0): ${line}`);
-            continue;
-        }
-        
-        // Validate duration
-        if (!Validation.validatePositiveNumber(parsedDuration)) {
-            ErrorHandler.warn(`Invalid duration in animation config: ${line}`);
-            continue;
-        }
-        
-        // Validate icon filename
-        if (!iconFile || !iconFile.endsWith('.svg')) {
-            ErrorHandler.warn(`Invalid icon filename "${iconFile}" in animation config: ${line}`);
-            continue;
-        }
-        
-        // Validate and normalize trigger type
-        const normalizedTriggerType = triggerType.toLowerCase();
-        const validTriggerTypes = ['hover', 'visible'];
-        let finalTriggerType = 'visible'; // Default
-        
-        if (normalizedTriggerType === 'hover' || normalizedTriggerType === 'visible') {
-            finalTriggerType = normalizedTriggerType;
-        } else if (triggerType && triggerType !== 'visible') {
-            // Only warn if trigger type was explicitly provided but invalid
-            ErrorHandler.warn(`Invalid trigger type "${triggerType}" in animation config: ${line}. Defaulting to "visible".`);
+    let parsedEntries;
+    if (text.trim().startsWith('{')) {
+        parsedEntries = parseAnimationJson(text);
+    } else {
+        parsedEntries = [];
+        for (let line of text.split('\n')) {
+            line = line.trim();
+            if (line === '' || line.startsWith('#')) continue;
+            
+            const parts = line.split(',').map(p => p.trim());
+            
+            // Support 6-8 parameters (with optional delay and optional trigger type)
+            // New format: page_number, centerX%, centerY%, size%, icon_filename, duration_ms, delay_ms, trigger_type
+            if (parts.length < 6 || parts.length > 8) {
+                ErrorHandler.warn(`Invalid animation config line: ${line}`);
+                continue;
+            }
+            
+            const [pageNum, centerX, centerY, size, iconFile, duration, delay = '0', triggerType = 'visible'] = parts;
+            parsedEntries.push({
+                pageNum,
+                centerX,
+                centerY,
+                size,
+                iconFile,
+                duration,
+                delay,
+                triggerType,
+                source: { line, label: 'animation config' }
+            });
         }
-        
-        const config = {
-            pageNumber: parsedPageNum,
-            centerX: parsedCenterX,
-            centerY: parsedCenterY,
-            size: parsedSize,
-            iconFile: iconFile,
-            duration: parsedDuration,
-            delay: parsedDelay,
-            triggerType: finalTriggerType
-        };
-        
-        // Animation config created successfully
-        
-        configs.push(config);
     }
     
-    return configs;
+    return parsedEntries
+        .map(parsed => validateAnimationConfig(parsed))
+        .filter(Boolean);
+}
+
+/**
+ * Format an animation as an animations.txt line (the inverse of the line parser)
+ * Always writes all eight columns so delay and trigger are explicit
+ * @param {Object} config - Animation config ({ pageNumber, centerX, centerY, size, iconFile, duration, delay, triggerType })
+ * @returns {string} Config line
+ */
+function formatAnimationLine(config) {
+    const round = value => Number(value.toFixed(2));
+    return [
+        config.pageNumber,
+        round(config.centerX),
+        round(config.centerY),
+        round(config.size),
+        config.iconFile,
+        config.duration,
+        config.delay,
+        config.triggerType
+    ].join(', ');
 }
 
 /**
@@ -166,6 +251,10 @@ function parseAnimationConfig(text) {
  * @returns {Promise<Array>} Array of animation configs
  */
 async function loadAnimationConfigs() {
+    if (!CONFIG.ANIMATION_HINT.FILE) {
+        return [];
+    }
+    
     try {
         const response = await fetch(CONFIG.ANIMATION_HINT.FILE);
         if (!response.ok) {
@@ -651,6 +740,65 @@ const triggeredPages = new Set();
  */
 let animationVisibilityObserver = null;
 
+/**
+ * Pages whose animations wait until the page nears the viewport (lite network profile)
+ * Key: page element, value: { pageNumber, animationConfigs }
+ */
+const deferredAnimationPages = new Map();
+
+/**
+ * IntersectionObserver that attaches deferred animations
+ */
+let deferredAnimationObserver = null;
+
+/**
+ * Hold off fetching a page's animation icons and CSS until the page nears the viewport
+ * @param {HTMLElement} page - Page element
+ * @param {number} pageNumber - Page number
+ * @param {Array} animationConfigs - Array of animation configs
+ * @returns {boolean} True if deferred, false if IntersectionObserver is unsupported
+ */
+function deferAnimationsUntilVisible(page, pageNumber, animationConfigs) {
+    if (!('IntersectionObserver' in window)) {
+        return false;
+    }
+    
+    if (!deferredAnimationObserver) {
+        deferredAnimationObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    attachDeferredAnimations(entry.target);
+                }
+            });
+        }, {
+            rootMargin: '50% 0px'
+        });
+    }
+    
+    deferredAnimationPages.set(page, { pageNumber, animationConfigs });
+    deferredAnimationObserver.observe(page);
+    return true;
+}
+
+/**
+ * Attach animations that were deferred by the lite network profile
+ * @param {HTMLElement|null} page - Page element, or null for every deferred page (on switching to full quality)
+ */
+function attachDeferredAnimations(page = null) {
+    const pages = page ? [page] : Array.from(deferredAnimationPages.keys());
+    
+    pages.forEach(deferredPage => {
+        const deferred = deferredAnimationPages.get(deferredPage);
+        if (!deferred) return;
+        
+        deferredAnimationPages.delete(deferredPage);
+        deferredAnimationObserver.unobserve(deferredPage);
+        attachAnimationsToPage(deferredPage, deferred.pageNumber, deferred.animationConfigs, false).catch(error => {
+            ErrorHandler.warn(`Error attaching animations to page ${deferred.pageNumber}`, error);
+        });
+    });
+}
+
 /**
  * Initialize animation visibility observer
  */
@@ -795,8 +943,9 @@ function registerPageForAnimationVisibility(page, animationElements) {
  * @param {HTMLElement} page - Page element
  * @param {number} pageNumber - Page number
  * @param {Array} animationConfigs - Array of animation configs
+ * @param {boolean} allowDefer - Whether the lite network profile may defer loading until the page is near
  */
-async function attachAnimationsToPage(page, pageNumber, animationConfigs) {
+async function attachAnimationsToPage(page, pageNumber, animationConfigs, allowDefer = true) {
     const pageAnimations = animationConfigs.filter(config => config.pageNumber === pageNumber);
     
     if (pageAnimations.length === 0) {
@@ -816,6 +965,12 @@ async function attachAnimationsToPage(page, pageNumber, animationConfigs) {
         }
     }
     
+    // Lite network profile: don't fetch icons for pages the reader hasn't reached yet
+    if (allowDefer && typeof isLiteNetworkProfile === 'function' && isLiteNetworkProfile() &&
+        deferAnimationsUntilVisible(page, pageNumber, animationConfigs)) {
+        return;
+    }
+    
     // Find the zoomist-image container (where animations should be attached)
     const zoomistImage = page.querySelector(CONFIG.SELECTORS.ZOOMIST_IMAGE);
     const container = zoomistImage || page;
@@ -844,6 +999,39 @@ async function attachAnimationsToPage(page, pageNumber, animationConfigs) {
     }
 }
 
+/**
+ * Forget a page's animations so they can be attached again after it re-renders
+ * @param {HTMLElement} page - Page element
+ */
+function detachAnimationsFromPage(page) {
+    pageAnimationsMap.delete(page);
+    
+    if (deferredAnimationPages.delete(page)) {
+        deferredAnimationObserver.unobserve(page);
+    }
+    
+    if (animationVisibilityObserver) {
+        animationVisibilityObserver.unobserve(page);
+    }
+}
+
+/**
+ * Forget every page's animations and stop observing them (before switching collections)
+ * Triggered-page keys are per page number, so they must not carry over to another collection
+ */
+function resetPageAnimations() {
+    pageAnimationsMap.clear();
+    triggeredPages.clear();
+    deferredAnimationPages.clear();
+    
+    if (animationVisibilityObserver) {
+        animationVisibilityObserver.disconnect();
+    }
+    if (deferredAnimationObserver) {
+        deferredAnimationObserver.disconnect();
+    }
+}
+
 /**
  * Attach animations to all currently rendered pages
  * Called when animation configs finish loading after pages are already rendered
@@ -0,0 +1,235 @@
+/**
+ * Collection Controller Module
+ * Named portfolio collections (CONFIG.COLLECTIONS.LIST), each with its own images, hotspots and animations
+ * Switching collections tears the current one down and loads the next into the same container
+ */
+
+// Settings from config.js, kept so collections can fall back to them
+const BASE_COLLECTION_SETTINGS = {
+    folder: CONFIG.IMAGE.FOLDER,
+    manifestFile: CONFIG.IMAGE.MANIFEST_FILE ? CONFIG.IMAGE.MANIFEST_FILE.split('/').pop() : null,
+    previewFile: CONFIG.IMAGE.PREVIEW_FILE ? CONFIG.IMAGE.PREVIEW_FILE.split('/').pop() : null,
+    title: document.title
+};
+
+// Container and content loader from initializeCollections()
+let collectionContext = null;
+
+/**
+ * Get the configured collections
+ * @returns {Array<Object>} Collections ({ id, title, folder, hotspots, animations, ... }), empty for a single portfolio
+ */
+function getCollections() {
+    const list = CONFIG.COLLECTIONS && Array.isArray(CONFIG.COLLECTIONS.LIST) ? CONFIG.COLLECTIONS.LIST : [];
+    return list.filter(collection => collection && typeof collection.id === 'string' && collection.id.length > 0);
+}
+
+/**
+ * Find a collection by id
+ * @param {string} collectionId - Collection id (case-insensitive)
+ * @returns {Object|null} Collection, or null if there is no such collection
+ */
+function getCollection(collectionId) {
+    if (typeof collectionId !== 'string') {
+        return null;
+    }
+    
+    const id = collectionId.toLowerCase();
+    return getCollections().find(collection => collection.id.toLowerCase() === id) || null;
+}
+
+/**
+ * Work out a collection's file paths
+ * The manifest and previews live in the collection's folder unless it names them; hotspots,
+ * animations and page metadata are only loaded when the collection names a file
+ * @param {Object} collection - Collection
+ * @returns {Object} { folder, manifestFile, previewFile, hotspotFile, animationFile, pageFile }
+ */
+function resolveCollectionFiles(collection) {
+    let folder = collection.folder || BASE_COLLECTION_SETTINGS.folder;
+    if (!folder.endsWith('/')) {
+        folder += '/';
+    }
+    
+    return {
+        folder,
+        manifestFile: 'manifest' in collection
+            ? collection.manifest
+            : (BASE_COLLECTION_SETTINGS.manifestFile ? `${folder}${BASE_COLLECTION_SETTINGS.manifestFile}` : null),
+        previewFile: 'previews' in collection
+            ? collection.previews
+            : (BASE_COLLECTION_SETTINGS.previewFile ? `${folder}${BASE_COLLECTION_SETTINGS.previewFile}` : null),
+        hotspotFile: collection.hotspots || null,
+        animationFile: collection.animations || null,
+        pageFile: collection.pages || null
+    };
+}
+
+/**
+ * Point the loaders at a collection's files
+ * @param {Object} collection - Collection
+ */
+function applyCollectionConfig(collection) {
+    const files = resolveCollectionFiles(collection);
+    CONFIG.IMAGE.FOLDER = files.folder;
+    CONFIG.IMAGE.MANIFEST_FILE = files.manifestFile;
+    CONFIG.IMAGE.PREVIEW_FILE = files.previewFile;
+    CONFIG.HOTSPOT.FILE = files.hotspotFile;
+    CONFIG.ANIMATION_HINT.FILE = files.animationFile;
+    CONFIG.PAGE_METADATA.FILE = files.pageFile;
+    
+    setBaseDocumentTitle(collection.title ? `${collection.title} – ${BASE_COLLECTION_SETTINGS.title}` : BASE_COLLECTION_SETTINGS.title);
+}
+
+/**
+ * List the config files of every collection (for the offline cache version)
+ * @returns {Array<string>} Manifest, preview, hotspot, animation and page metadata file paths
+ */
+function getCollectionConfigFiles() {
+    const files = new Set();
+    getCollections().forEach(collection => {
+        const resolved = resolveCollectionFiles(collection);
+        [resolved.manifestFile, resolved.previewFile, resolved.hotspotFile, resolved.animationFile, resolved.pageFile]
+            .filter(Boolean)
+            .forEach(file => files.add(file));
+    });
+    return Array.from(files);
+}
+
+/**
+ * Render the collection links (only when there are at least two collections)
+ */
+function renderCollectionNav() {
+    const nav = document.getElementById(CONFIG.COLLECTIONS.NAV_ID);
+    if (!nav) return;
+    
+    const collections = getCollections();
+    nav.hidden = collections.length < 2;
+    nav.replaceChildren(...collections.map(collection => DOM.createElement('a', 'collection-link', {
+        href: `#${collection.id}`,
+        'data-collection': collection.id,
+        textContent: collection.title || collection.id
+    })));
+    updateCollectionNav();
+}
+
+/**
+ * Mark the active collection's link
+ */
+function updateCollectionNav() {
+    const nav = document.getElementById(CONFIG.COLLECTIONS.NAV_ID);
+    if (!nav) return;
+    
+    nav.querySelectorAll('.collection-link').forEach(link => {
+        if (link.getAttribute('data-collection') === appState.getCollectionId()) {
+            link.setAttribute('aria-current', 'page');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+}
+
+/**
+ * Release everything the current collection holds: fetches, observers, Zoomist instances,
+ * animations, blob URLs and page elements
+ */
+function teardownCollection() {
+    if (typeof cancelPortfolioLoading === 'function') {
+        cancelPortfolioLoading();
+    }
+    
+    appState.getZoomistInstances().forEach(instance => {
+        if (instance && typeof instance.destroy === 'function') {
+            instance.destroy();
+        }
+    });
+    
+    if (typeof resetPageAnimations === 'function') {
+        resetPageAnimations();
+    }
+    
+    // Navigation waiting for one of the old collection's pages gives up
+    appState.getPageReadyResolvers().forEach(resolvers => {
+        resolvers.forEach(resolve => resolve(null));
+    });
+    
+    collectionContext.container.replaceChildren();
+    ResourceRegistry.revokeAll();
+}
+
+/**
+ * Switch to another collection and load its pages
+ * @param {string} collectionId - Collection id
+ * @returns {Promise<boolean>} True if the collection changed, false if it was already active or unknown
+ */
+async function switchCollection(collectionId) {
+    const collection = getCollection(collectionId);
+    if (!collection || !collectionContext || collection.id === appState.getCollectionId()) {
+        return false;
+    }
+    
+    ErrorHandler.log(`Switching to collection "${collection.id}"`);
+    teardownCollection();
+    appState.resetForCollection(collection.id);
+    
+    // The observers were disconnected with the old state - start fresh ones for the new pages
+    initializeAnimations();
+    initializeHotspotDiscovery();
+    initializePageVirtualization();
+    
+    applyCollectionConfig(collection);
+    updateCollectionNav();
+    
+    showGlobalLoader();
+    try {
+        await collectionContext.loadContent(collectionContext.container);
+    } catch (error) {
+        ErrorHandler.error(`Error loading collection "${collection.id}"`, error);
+    } finally {
+        hideGlobalLoader();
+    }
+    return true;
+}
+
+/**
+ * Initialize collections and select the one named in the URL hash (or the first one)
+ * A no-op when CONFIG.COLLECTIONS.LIST is empty
+ * @param {HTMLElement} container - Portfolio container
+ * @param {Function} loadContent - Loads the active collection's configs and pages into the container
+ */
+function initializeCollections(container, loadContent) {
+    collectionContext = { container, loadContent };
+    
+    const collections = getCollections();
+    if (collections.length === 0) {
+        return;
+    }
+    
+    const hashCollection = getCollection(window.location.hash.slice(1).split('/')[0]);
+    const collection = hashCollection || collections[0];
+    appState.setCollectionId(collection.id);
+    applyCollectionConfig(collection);
+    renderCollectionNav();
+    
+    if (typeof window.PortfolioApp !== 'undefined') {
+        /**
+         * Collection helpers
+         * @namespace PortfolioApp.collections
+         *
+         * @example
+         * // List the collection ids
+         * PortfolioApp.collections.list();
+         *
+         * @example
+         * // Switch collection (same as following a #furniture link)
+         * PortfolioApp.collections.open('furniture');
+         */
+        window.PortfolioApp.collections = {
+            list: () => getCollections().map(entry => entry.id),
+            active: () => appState.getCollectionId(),
+            open: (collectionId) => {
+                window.location.hash = `#${collectionId}`;
+            }
+        };
+    }
+}
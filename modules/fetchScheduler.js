@@ -0,0 +1,163 @@
+/**
+ * Fetch Scheduler Module
+ * Runs page fetches in a fixed number of parallel slots, highest priority first
+ */
+
+/**
+ * Fetch priorities (higher runs first; equal priorities run in ascending page order)
+ */
+const FETCH_PRIORITY = {
+    LOW: 0,      // Background loading
+    NORMAL: 1,   // Pages just below the viewport
+    HIGH: 2      // Navigation targets (e.g. #page-40)
+};
+
+/**
+ * Create a fetch scheduler
+ * Each task is keyed by page number; requesting the same key again returns the same promise,
+ * raising its priority if needed, until the caller releases the finished task.
+ * Every task receives an AbortSignal so it can be cancelled.
+ *
+ * @param {number} concurrency - Number of parallel slots
+ * @returns {Object} Scheduler with request(), release(), isHolding(), cancel(), cancelWhere() and getStats()
+ *
+ * @example
+ * const scheduler = createFetchScheduler(3);
+ * scheduler.request(40, signal => findImageCandidate(40, null, signal), FETCH_PRIORITY.HIGH);
+ */
+function createFetchScheduler(concurrency) {
+    const slots = Math.max(1, concurrency || 1);
+    const tasks = new Map();
+    const queue = [];
+    let active = 0;
+    
+    const runTask = async (task) => {
+        active++;
+        task.state = 'running';
+        
+        try {
+            task.resolve(await task.run(task.controller.signal));
+        } catch (error) {
+            task.reject(error);
+        } finally {
+            active--;
+            task.state = 'done';
+            pump();
+        }
+    };
+    
+    const pump = () => {
+        while (active < slots && queue.length > 0) {
+            queue.sort((a, b) => (b.priority - a.priority) || (a.key - b.key));
+            runTask(queue.shift());
+        }
+    };
+    
+    const cancelTask = (task) => {
+        task.controller.abort();
+        
+        if (task.state === 'queued') {
+            queue.splice(queue.indexOf(task), 1);
+            task.reject(new DOMException(`Fetch for page ${task.key} cancelled`, 'AbortError'));
+        }
+        
+        tasks.delete(task.key);
+    };
+    
+    return {
+        /**
+         * Schedule a task, or return the existing one for this key
+         * @param {number} key - Page number
+         * @param {Function} run - Task function receiving an AbortSignal, returning a promise
+         * @param {number} priority - FETCH_PRIORITY value
+         * @returns {Promise<*>} Task result
+         */
+        request(key, run, priority = FETCH_PRIORITY.LOW) {
+            const existing = tasks.get(key);
+            if (existing) {
+                // Re-prioritizing a queued task takes effect the next time a slot frees up
+                existing.priority = Math.max(existing.priority, priority);
+                return existing.promise;
+            }
+            
+            const task = {
+                key,
+                run,
+                priority,
+                state: 'queued',
+                controller: new AbortController()
+            };
+            task.promise = new Promise((resolve, reject) => {
+                task.resolve = resolve;
+                task.reject = reject;
+            });
+            
+            tasks.set(key, task);
+            queue.push(task);
+            pump();
+            
+            return task.promise;
+        },
+        
+        /**
+         * Forget a finished task so its result can be garbage collected
+         * Call once the result has been used; a later request() for the key fetches again
+         * @param {number} key - Page number
+         */
+        release(key) {
+            const task = tasks.get(key);
+            if (task && task.state === 'done') {
+                tasks.delete(key);
+            }
+        },
+        
+        /**
+         * Check whether a finished task's result is still waiting to be used
+         * @param {number} key - Page number
+         * @returns {boolean} True if the task finished and has not been released
+         */
+        isHolding(key) {
+            const task = tasks.get(key);
+            return Boolean(task && task.state === 'done');
+        },
+        
+        /**
+         * Cancel a queued or running task
+         * @param {number} key - Page number
+         * @returns {boolean} True if a pending task was cancelled
+         */
+        cancel(key) {
+            const task = tasks.get(key);
+            if (!task || task.state === 'done') {
+                return false;
+            }
+            
+            cancelTask(task);
+            return true;
+        },
+        
+        /**
+         * Cancel every pending task matching a predicate
+         * @param {Function} predicate - Receives (key, priority), returns true to cancel
+         * @returns {number} Number of cancelled tasks
+         */
+        cancelWhere(predicate) {
+            const matching = Array.from(tasks.values())
+                .filter(task => task.state !== 'done' && predicate(task.key, task.priority));
+            matching.forEach(cancelTask);
+            return matching.length;
+        },
+        
+        /**
+         * Get current scheduler load
+         * @returns {Object} { concurrency, active, queued }
+         */
+        getStats() {
+            return {
+                concurrency: slots,
+                active,
+                queued: queue.length
+            };
+        }
+    };
+}
@@ -0,0 +1,140 @@
+/**
+ * Format Support Module
+ * Checks which image formats the browser can decode before any page is fetched
+ */
+
+// 1x1 samples; formats without a sample (png, jpg) are assumed to be supported
+const FORMAT_SAMPLES = {
+    avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+    webp: 'data:image/webp;base64,UklGRhoAAABXRUJQVlA4TA0AAAAvAAAAEAcQERGIiP4HAA=='
+};
+
+const FORMAT_SUPPORT_STORAGE_KEY = 'portfolio-format-support';
+const FORMAT_PROBE_TIMEOUT_MS = 2000;
+
+// Formats the browser can't decode, with the reason: format -> reason
+const unsupportedFormats = new Map();
+
+/**
+ * Decode a sample image to find out whether the browser supports its format
+ * A timeout is no answer (a busy first load can be slow to decode), so it isn't reported as unsupported
+ * @param {string} format - Image format
+ * @returns {Promise<Object>} { reason, timedOut }: reason is why the format is unsupported, or null if it decodes
+ */
+function probeFormat(format) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        const timeoutId = setTimeout(() => resolve({ reason: null, timedOut: true }), FORMAT_PROBE_TIMEOUT_MS);
+        
+        img.onload = () => {
+            clearTimeout(timeoutId);
+            resolve({ reason: img.naturalWidth > 0 ? null : 'sample decoded with zero width', timedOut: false });
+        };
+        img.onerror = () => {
+            clearTimeout(timeoutId);
+            resolve({ reason: 'browser could not decode the sample image', timedOut: false });
+        };
+        img.src = FORMAT_SAMPLES[format];
+    });
+}
+
+/**
+ * Read cached probe results, valid only for the same browser version
+ * @returns {Object|null} Cached { format: reason|null } results
+ */
+function readCachedFormatSupport() {
+    try {
+        const cached = JSON.parse(localStorage.getItem(FORMAT_SUPPORT_STORAGE_KEY) || 'null');
+        return cached && cached.userAgent === navigator.userAgent ? cached.results : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Detect supported image formats and prune CONFIG.IMAGE.FORMAT_PRIORITY to them
+ * Results are cached in localStorage per user agent, so the probe runs once per browser version
+ * A probe that timed out is tried for this visit and probed again on the next one
+ * @returns {Promise<Object>} Report ({ supported, skipped, cached })
+ */
+async function detectImageFormatSupport() {
+    const priority = CONFIG.IMAGE.FORMAT_PRIORITY;
+    const cachedResults = readCachedFormatSupport() || {};
+    const results = {};
+    const definiteResults = { ...cachedResults };
+    let usedCache = true;
+    
+    await Promise.all(priority.filter(format => FORMAT_SAMPLES[format]).map(async (format) => {
+        if (format in cachedResults) {
+            results[format] = cachedResults[format];
+            return;
+        }
+        usedCache = false;
+        
+        const { reason, timedOut } = await probeFormat(format);
+        results[format] = reason;
+        if (timedOut) {
+            ErrorHandler.log(`${format} capability check timed out after ${FORMAT_PROBE_TIMEOUT_MS}ms - trying ${format} images anyway`);
+        } else {
+            definiteResults[format] = reason;
+        }
+    }));
+    
+    if (!usedCache) {
+        try {
+            localStorage.setItem(FORMAT_SUPPORT_STORAGE_KEY, JSON.stringify({
+                userAgent: navigator.userAgent,
+                results: definiteResults
+            }));
+        } catch (error) {
+            // Storage unavailable - probe again next visit
+        }
+    }
+    
+    unsupportedFormats.clear();
+    Object.entries(results).forEach(([format, reason]) => {
+        if (reason) unsupportedFormats.set(format, reason);
+    });
+    
+    const supported = priority.filter(format => !unsupportedFormats.has(format));
+    if (supported.length === 0) {
+        // Never leave nothing to try - fall back to the configured list
+        ErrorHandler.warn('No configured image format passed the capability check, trying all of them');
+        unsupportedFormats.clear();
+    } else {
+        CONFIG.IMAGE.FORMAT_PRIORITY = supported;
+    }
+    
+    const report = {
+        supported: CONFIG.IMAGE.FORMAT_PRIORITY.slice(),
+        skipped: Array.from(unsupportedFormats, ([format, reason]) => ({ format, reason })),
+        cached: usedCache
+    };
+    
+    report.skipped.forEach(({ format, reason }) => {
+        ErrorHandler.log(`Skipping ${format} images: ${reason}`);
+    });
+    
+    if (typeof window.PortfolioApp !== 'undefined') {
+        /**
+         * Image formats this browser decodes, and the ones skipped (with the reason)
+         * @member {Object} PortfolioApp.formatSupport
+         *
+         * @example
+         * PortfolioApp.formatSupport;
+         * // { supported: ['webp', 'png'], skipped: [{ format: 'avif', reason: '...' }], cached: true }
+         */
+        window.PortfolioApp.formatSupport = report;
+    }
+    
+    return report;
+}
+
+/**
+ * Check whether a format passed the capability probe
+ * @param {string} format - Image format
+ * @returns {boolean} False only for formats the browser is known not to decode
+ */
+function isImageFormatSupported(format) {
+    return !unsupportedFormats.has(format);
+}
@@ -0,0 +1,591 @@
+/**
+ * Hotspot Editor Module
+ * Visual hotspot authoring, enabled by opening the site with ?edit=hotspots
+ * Draw, move and resize hotspots on the rendered pages, then copy the result in hotspots.txt format
+ */
+
+// Smallest hotspot the editor creates (% of the page); shorter drags count as clicks
+const EDITOR_MIN_HOTSPOT_SIZE = 0.5;
+
+// Editor state: entries survive page virtualization; they are reloaded when the hotspot config changes
+const hotspotEditor = {
+    entries: null,
+    nextId: 1,
+    selected: null,
+    drag: null,
+    panel: null,
+    collectionId: undefined
+};
+
+/**
+ * Check if the hotspot editor is enabled (?edit=hotspots)
+ * @returns {boolean} True in editor mode
+ */
+function isHotspotEditorActive() {
+    return new URLSearchParams(window.location.search).get('edit') === 'hotspots';
+}
+
+/**
+ * Turn a parsed hotspot target back into the text written in hotspots.txt
+ * @param {Object} config - Parsed hotspot configuration
+ * @returns {string} URL, file or page number
+ */
+function getEditorTargetText(config) {
+    switch (config.type) {
+        case 'youtube':
+            return formatYouTubeTarget(config.target, config.playback || {});
+        case 'playlist':
+            return config.target.listId
+                ? `https://www.youtube.com/playlist?list=${config.target.listId}`
+                : config.target.videoIds.join(' ');
+        case 'vimeo':
+            return `https://vimeo.com/${config.target}`;
+        default:
+            return String(config.target);
+    }
+}
+
+/**
+ * Load editor entries from the parsed hotspot config
+ */
+function loadEditorEntries() {
+    hotspotEditor.entries = appState.getHotspotConfigs().map(config => ({
+        id: hotspotEditor.nextId++,
+        pageNumber: config.pageNumber,
+        type: config.type,
+        target: getEditorTargetText(config),
+        label: config.label || '',
+        shape: config.shape,
+        points: config.points,
+        left: config.left,
+        bottom: config.bottom,
+        width: config.width,
+        height: config.height,
+        // Breakpoint overrides aren't edited here, but survive the export
+        breakpoints: config.breakpoints
+    }));
+    hotspotEditor.collectionId = appState.getCollectionId();
+    hotspotEditor.selected = null;
+}
+
+/**
+ * Clamp a value to a range
+ * @param {number} value - Value
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {number} Clamped value
+ */
+function clampEditorValue(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Get the pointer position in % of a page image (top-left origin, like the runtime position)
+ * @param {PointerEvent} event - Pointer event
+ * @param {HTMLElement} zoomistImage - .zoomist-image element of the page
+ * @returns {Object} { x, y } in %
+ */
+function getEditorPointerPosition(event, zoomistImage) {
+    const rect = zoomistImage.getBoundingClientRect();
+    return {
+        x: clampEditorValue(((event.clientX - rect.left) / rect.width) * 100, 0, 100),
+        y: clampEditorValue(((event.clientY - rect.top) / rect.height) * 100, 0, 100)
+    };
+}
+
+/**
+ * Get the runtime position of an entry (same math as rendered hotspots)
+ * @param {Object} entry - Editor entry
+ * @returns {Object} { left, top, width, height } in %
+ */
+function getEditorEntryPosition(entry) {
+    return calculateDesktopHotspotPosition(entry, { imageWidth: 0, imageHeight: 0 });
+}
+
+/**
+ * Move an editor box to its entry's position
+ * @param {HTMLElement} box - .editor-hotspot element
+ * @param {Object} entry - Editor entry
+ */
+function positionEditorHotspot(box, entry) {
+    const position = getEditorEntryPosition(entry);
+    box.style.left = `${position.left}%`;
+    box.style.top = `${position.top}%`;
+    box.style.width = `${position.width}%`;
+    box.style.height = `${position.height}%`;
+}
+
+/**
+ * Create the editor box for an entry
+ * Ellipses and polygons are drawn inside their bounding box, which is what moves and resizes
+ * @param {Object} entry - Editor entry
+ * @returns {HTMLElement} .editor-hotspot element
+ */
+function createEditorHotspot(entry) {
+    const box = DOM.createElement('div', `editor-hotspot editor-hotspot-${entry.shape}`, {
+        'data-editor-id': String(entry.id)
+    });
+    
+    if (entry.shape === 'polygon') {
+        const svg = DOM.createSVGElement('svg', {
+            class: 'editor-hotspot-shape',
+            viewBox: '0 0 100 100',
+            preserveAspectRatio: 'none'
+        });
+        svg.appendChild(DOM.createSVGElement('polygon', {
+            points: entry.points.map(point => `${point.x},${point.y}`).join(' ')
+        }));
+        box.appendChild(svg);
+    }
+    
+    box.appendChild(DOM.createElement('span', 'editor-handle', { 'aria-hidden': 'true' }));
+    box.classList.toggle('selected', entry === hotspotEditor.selected);
+    positionEditorHotspot(box, entry);
+    return box;
+}
+
+/**
+ * Find the box of an entry on the rendered pages
+ * @param {Object} entry - Editor entry
+ * @returns {HTMLElement|null} .editor-hotspot element, or null if its page isn't rendered
+ */
+function findEditorHotspot(entry) {
+    return document.querySelector(`.editor-hotspot[data-editor-id="${entry.id}"]`);
+}
+
+/**
+ * Draw the editor boxes of one page
+ * @param {HTMLElement} pageDiv - Page element
+ */
+function renderEditorHotspots(pageDiv) {
+    const zoomistImage = pageDiv.querySelector(CONFIG.SELECTORS.ZOOMIST_IMAGE);
+    if (!zoomistImage || !hotspotEditor.entries) {
+        return;
+    }
+    
+    zoomistImage.querySelectorAll('.editor-hotspot').forEach(box => box.remove());
+    
+    const pageNumber = parseInt(pageDiv.dataset.page, 10);
+    hotspotEditor.entries
+        .filter(entry => entry.pageNumber === pageNumber)
+        .forEach(entry => zoomistImage.appendChild(createEditorHotspot(entry)));
+}
+
+/**
+ * Select an entry (or clear the selection) and sync the panel
+ * @param {Object|null} entry - Editor entry
+ */
+function selectEditorHotspot(entry) {
+    hotspotEditor.selected = entry;
+    document.querySelectorAll('.editor-hotspot').forEach(box => {
+        box.classList.toggle('selected', entry !== null && box.dataset.editorId === String(entry.id));
+    });
+    updateEditorPanel();
+}
+
+/**
+ * Delete the selected entry
+ */
+function deleteSelectedEditorHotspot() {
+    const entry = hotspotEditor.selected;
+    if (!entry) {
+        return;
+    }
+    
+    hotspotEditor.entries = hotspotEditor.entries.filter(candidate => candidate !== entry);
+    const box = findEditorHotspot(entry);
+    if (box) {
+        box.remove();
+    }
+    selectEditorHotspot(null);
+    updateEditorOutput();
+}
+
+/**
+ * Set an entry's geometry from a runtime position
+ * @param {Object} entry - Editor entry
+ * @param {Object} position - { left, top, width, height } in %
+ */
+function setEditorEntryPosition(entry, position) {
+    Object.assign(entry, calculateHotspotConfigFromPosition(position));
+    
+    const box = findEditorHotspot(entry);
+    if (box) {
+        positionEditorHotspot(box, entry);
+    }
+}
+
+/**
+ * Start drawing, moving or resizing a hotspot
+ * Runs in the capture phase so hotspots and page gestures never see the pointer
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleEditorPointerDown(event) {
+    if (event.button !== 0 || !(event.target instanceof Element)) {
+        return;
+    }
+    
+    const zoomistImage = event.target.closest(CONFIG.SELECTORS.ZOOMIST_IMAGE);
+    const pageDiv = zoomistImage && zoomistImage.closest(CONFIG.SELECTORS.PORTFOLIO_PAGE);
+    if (!pageDiv) {
+        return;
+    }
+    
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const start = getEditorPointerPosition(event, zoomistImage);
+    const box = event.target.closest('.editor-hotspot');
+    
+    if (box) {
+        const entry = hotspotEditor.entries.find(candidate => String(candidate.id) === box.dataset.editorId);
+        selectEditorHotspot(entry);
+        hotspotEditor.drag = {
+            mode: event.target.closest('.editor-handle') ? 'resize' : 'move',
+            entry,
+            zoomistImage,
+            start,
+            origin: getEditorEntryPosition(entry)
+        };
+    } else {
+        hotspotEditor.drag = {
+            mode: 'draw',
+            entry: null,
+            pageNumber: parseInt(pageDiv.dataset.page, 10),
+            zoomistImage,
+            start
+        };
+    }
+}
+
+/**
+ * Update the hotspot being drawn, moved or resized
+ * @param {PointerEvent} event - Pointer event
+ */
+function handleEditorPointerMove(event) {
+    const drag = hotspotEditor.drag;
+    if (!drag) {
+        return;
+    }
+    
+    const point = getEditorPointerPosition(event, drag.zoomistImage);
+    const deltaX = point.x - drag.start.x;
+    const deltaY = point.y - drag.start.y;
+    
+    if (drag.mode === 'draw') {
+        const position = {
+            left: Math.min(drag.start.x, point.x),
+            top: Math.min(drag.start.y, point.y),
+            width: Math.abs(deltaX),
+            height: Math.abs(deltaY)
+        };
+        
+        // Wait for a real drag before creating the entry, so a click just clears the selection
+        if (!drag.entry) {
+            if (position.width < EDITOR_MIN_HOTSPOT_SIZE || position.height < EDITOR_MIN_HOTSPOT_SIZE) {
+                return;
+            }
+            
+            drag.entry = {
+                id: hotspotEditor.nextId++,
+                pageNumber: drag.pageNumber,
+                type: hotspotEditor.selected ? hotspotEditor.selected.type : 'youtube',
+                target: '',
+                label: '',
+                shape: 'rect',
+                points: null
+            };
+            Object.assign(drag.entry, calculateHotspotConfigFromPosition(position));
+            hotspotEditor.entries.push(drag.entry);
+            drag.zoomistImage.appendChild(createEditorHotspot(drag.entry));
+            selectEditorHotspot(drag.entry);
+        }
+        setEditorEntryPosition(drag.entry, position);
+    } else if (drag.mode === 'move') {
+        setEditorEntryPosition(drag.entry, {
+            left: clampEditorValue(drag.origin.left + deltaX, 0, 100 - drag.origin.width),
+            top: clampEditorValue(drag.origin.top + deltaY, 0, 100 - drag.origin.height),
+            width: drag.origin.width,
+            height: drag.origin.height
+        });
+    } else {
+        setEditorEntryPosition(drag.entry, {
+            left: drag.origin.left,
+            top: drag.origin.top,
+            width: clampEditorValue(drag.origin.width + deltaX, EDITOR_MIN_HOTSPOT_SIZE, 100 - drag.origin.left),
+            height: clampEditorValue(drag.origin.height + deltaY, EDITOR_MIN_HOTSPOT_SIZE, 100 - drag.origin.top)
+        });
+    }
+}
+
+/**
+ * Finish the current drag
+ */
+function handleEditorPointerUp() {
+    const drag = hotspotEditor.drag;
+    if (!drag) {
+        return;
+    }
+    hotspotEditor.drag = null;
+    
+    if (drag.mode === 'draw' && !drag.entry) {
+        selectEditorHotspot(null);
+        return;
+    }
+    
+    updateEditorOutput();
+    if (drag.mode === 'draw' && hotspotEditor.panel) {
+        // New hotspots need a target next - paste the video URL straight away
+        hotspotEditor.panel.querySelector('#hotspot-editor-target').focus();
+    }
+}
+
+/**
+ * Delete or nudge the selected hotspot from the keyboard
+ * Arrow keys move by 0.1% (1% with Shift)
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleEditorKeydown(event) {
+    const entry = hotspotEditor.selected;
+    if (!entry || event.target.closest('input, select, textarea')) {
+        return;
+    }
+    
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+        event.preventDefault();
+        deleteSelectedEditorHotspot();
+        return;
+    }
+    
+    const directions = {
+        ArrowLeft: [-1, 0],
+        ArrowRight: [1, 0],
+        ArrowUp: [0, -1],
+        ArrowDown: [0, 1]
+    };
+    const direction = directions[event.key];
+    if (!direction) {
+        return;
+    }
+    
+    event.preventDefault();
+    const step = event.shiftKey ? 1 : 0.1;
+    const position = getEditorEntryPosition(entry);
+    setEditorEntryPosition(entry, {
+        left: clampEditorValue(position.left + direction[0] * step, 0, 100 - position.width),
+        top: clampEditorValue(position.top + direction[1] * step, 0, 100 - position.height),
+        width: position.width,
+        height: position.height
+    });
+    updateEditorOutput();
+}
+
+/**
+ * Build the hotspots.txt export from the current entries
+ * @returns {Object} { text, missingTargets } - entries without a target are left out
+ */
+function buildHotspotEditorExport() {
+    const entries = hotspotEditor.entries || [];
+    const complete = entries.filter(entry => entry.target !== '');
+    const lines = complete
+        .slice()
+        .sort((a, b) => a.pageNumber - b.pageNumber)
+        .map(entry => formatHotspotLine(entry));
+        
+    return {
+        text: lines.join('\n'),
+        missingTargets: entries.length - complete.length
+    };
+}
+
+/**
+ * Refresh the export textarea and status line
+ */
+function updateEditorOutput() {
+    if (!hotspotEditor.panel) {
+        return;
+    }
+    
+    const { text, missingTargets } = buildHotspotEditorExport();
+    hotspotEditor.panel.querySelector('.hotspot-editor-output').value = text;
+    hotspotEditor.panel.querySelector('.hotspot-editor-status').textContent = missingTargets > 0
+        ? `${missingTargets} hotspot${missingTargets === 1 ? '' : 's'} without a target (not exported)`
+        : '';
+}
+
+/**
+ * Sync the panel fields with the selected hotspot
+ */
+function updateEditorPanel() {
+    if (!hotspotEditor.panel) {
+        return;
+    }
+    
+    const entry = hotspotEditor.selected;
+    const targetInput = hotspotEditor.panel.querySelector('#hotspot-editor-target');
+    const typeSelect = hotspotEditor.panel.querySelector('#hotspot-editor-type');
+    const labelInput = hotspotEditor.panel.querySelector('#hotspot-editor-label');
+    const deleteButton = hotspotEditor.panel.querySelector('.hotspot-editor-delete');
+    
+    targetInput.disabled = !entry;
+    typeSelect.disabled = !entry;
+    labelInput.disabled = !entry;
+    deleteButton.disabled = !entry;
+    targetInput.value = entry ? entry.target : '';
+    typeSelect.value = entry ? entry.type : 'youtube';
+    labelInput.value = entry ? entry.label : '';
+}
+
+/**
+ * Copy the export to the clipboard, falling back to selecting it
+ */
+function copyHotspotEditorExport() {
+    const output = hotspotEditor.panel.querySelector('.hotspot-editor-output');
+    const status = hotspotEditor.panel.querySelector('.hotspot-editor-status');
+    
+    const fallback = () => {
+        output.select();
+        status.textContent = 'Press Ctrl+C (Cmd+C) to copy';
+    };
+    
+    if (!navigator.clipboard) {
+        fallback();
+        return;
+    }
+    navigator.clipboard.writeText(output.value)
+        .then(() => {
+            status.textContent = 'Copied - paste into config/hotspots.txt';
+        })
+        .catch(fallback);
+}
+
+/**
+ * Create the editor panel
+ * @returns {HTMLElement} Panel element
+ */
+function createHotspotEditorPanel() {
+    const typeSelect = DOM.createElement('select', null, { id: 'hotspot-editor-type' },
+        CONFIG.HOTSPOT.TYPES.map(type => DOM.createElement('option', null, { value: type, textContent: type })));
+    const targetInput = DOM.createElement('input', null, {
+        id: 'hotspot-editor-target',
+        type: 'text',
+        placeholder: 'Paste a video URL',
+        autocomplete: 'off'
+    });
+    const labelInput = DOM.createElement('input', null, {
+        id: 'hotspot-editor-label',
+        type: 'text',
+        placeholder: 'Optional tooltip, e.g. Watch the walkthrough',
+        autocomplete: 'off'
+    });
+    const deleteButton = DOM.createElement('button', 'hotspot-editor-delete', { type: 'button', textContent: 'Delete' });
+    const copyButton = DOM.createElement('button', 'hotspot-editor-copy', { type: 'button', textContent: 'Copy hotspots.txt' });
+    const output = DOM.createElement('textarea', 'editor-panel-output hotspot-editor-output', {
+        readonly: '',
+        rows: '8',
+        'aria-label': 'hotspots.txt lines',
+        spellcheck: 'false'
+    });
+    
+    const panel = DOM.createElement('aside', 'editor-panel hotspot-editor', { 'aria-label': 'Hotspot editor' }, [
+        DOM.createElement('h2', null, { textContent: 'Hotspot editor' }),
+        DOM.createElement('p', 'editor-panel-hint', {
+            textContent: 'Drag on a page to draw a hotspot. Drag a hotspot to move it, or its corner to resize it. Arrow keys nudge, Delete removes.'
+        }),
+        DOM.createElement('label', null, { for: 'hotspot-editor-target', textContent: 'Target' }),
+        targetInput,
+        DOM.createElement('label', null, { for: 'hotspot-editor-type', textContent: 'Type' }),
+        typeSelect,
+        DOM.createElement('label', null, { for: 'hotspot-editor-label', textContent: 'Label' }),
+        labelInput,
+        deleteButton,
+        output,
+        copyButton,
+        DOM.createElement('p', 'editor-panel-status hotspot-editor-status', { role: 'status' })
+    ]);
+    
+    targetInput.addEventListener('input', () => {
+        if (!hotspotEditor.selected) return;
+        hotspotEditor.selected.target = targetInput.value.trim();
+        updateEditorOutput();
+    });
+    typeSelect.addEventListener('change', () => {
+        if (!hotspotEditor.selected) return;
+        hotspotEditor.selected.type = typeSelect.value;
+        updateEditorOutput();
+    });
+    labelInput.addEventListener('input', () => {
+        if (!hotspotEditor.selected) return;
+        // Commas are fine - formatHotspotLine() quotes the label when needed
+        hotspotEditor.selected.label = labelInput.value.trim();
+        updateEditorOutput();
+    });
+    deleteButton.addEventListener('click', deleteSelectedEditorHotspot);
+    copyButton.addEventListener('click', copyHotspotEditorExport);
+    
+    return panel;
+}
+
+/**
+ * Add editor boxes to a freshly rendered page (no-op outside editor mode)
+ * @param {HTMLElement} pageDiv - Page element
+ */
+function attachHotspotEditorToPage(pageDiv) {
+    if (!isHotspotEditorActive()) {
+        return;
+    }
+    renderEditorHotspots(pageDiv);
+}
+
+/**
+ * Reload the editor after the hotspot config loads (or a collection switch reloads it)
+ * Unsaved edits are kept unless the collection changed
+ */
+function refreshHotspotEditor() {
+    if (!isHotspotEditorActive()) {
+        return;
+    }
+    
+    if (!hotspotEditor.entries || hotspotEditor.collectionId !== appState.getCollectionId()) {
+        loadEditorEntries();
+    }
+    document.querySelectorAll(CONFIG.SELECTORS.PORTFOLIO_PAGE).forEach(renderEditorHotspots);
+    updateEditorPanel();
+    updateEditorOutput();
+}
+
+/**
+ * Initialize the hotspot editor when the page is opened with ?edit=hotspots
+ */
+function initializeHotspotEditor() {
+    if (!isHotspotEditorActive()) {
+        return;
+    }
+    
+    document.body.classList.add('hotspot-editing');
+    hotspotEditor.panel = createHotspotEditorPanel();
+    document.body.appendChild(hotspotEditor.panel);
+    updateEditorPanel();
+    
+    document.addEventListener('pointerdown', handleEditorPointerDown, true);
+    document.addEventListener('pointermove', handleEditorPointerMove);
+    document.addEventListener('pointerup', handleEditorPointerUp);
+    document.addEventListener('pointercancel', handleEditorPointerUp);
+    document.addEventListener('keydown', handleEditorKeydown);
+    
+    if (typeof window.PortfolioApp !== 'undefined') {
+        /**
+         * Hotspot editor (only with ?edit=hotspots)
+         * @namespace PortfolioApp.hotspotEditor
+         *
+         * @example
+         * // Current hotspots in hotspots.txt format
+         * PortfolioApp.hotspotEditor.export();
+         */
+        window.PortfolioApp.hotspotEditor = {
+            export: () => buildHotspotEditorExport().text
+        };
+    }
+    
+    ErrorHandler.log('Hotspot editor enabled');
+}
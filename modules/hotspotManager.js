@@ -3,6 +3,10 @@
  * Handles hotspot configuration parsing, positioning, and attachment
  */
 
+// Breakpoints a hotspot can override its geometry for, keyed to CONFIG.BREAKPOINTS
+// (mobile <= MOBILE, tablet <= TABLET, desktop above)
+const HOTSPOT_BREAKPOINTS = ['mobile', 'tablet', 'desktop'];
+
 /**
  * Extract YouTube video ID from various URL formats
  * @param {string} url - YouTube URL
@@ -19,80 +23,425 @@ function extractYouTubeVideoId(url) {
     return null;
 }
 
+/**
+ * Read a playlist hotspot's target: a YouTube playlist link or ID, or video links/IDs in order
+ * @param {string} target - Target from the config; videos are separated by spaces (JSON arrays arrive comma-joined)
+ * @returns {Object|null} { listId } or { videoIds }, or null if a video can't be recognised
+ */
+function extractYouTubePlaylist(target) {
+    for (const pattern of CONFIG.YOUTUBE.PLAYLIST_PATTERNS) {
+        const match = target.match(pattern);
+        if (match && match[1]) {
+            return { listId: match[1] };
+        }
+    }
+    
+    const videoIds = target.split(/[\s,]+/).filter(Boolean).map(extractYouTubeVideoId);
+    if (videoIds.length === 0 || videoIds.includes(null)) {
+        return null;
+    }
+    return { videoIds };
+}
+
+/**
+ * Parse a YouTube time value into whole seconds
+ * Accepts seconds (90, "90", "90s") and YouTube's "1h2m3s" style, as used by t= in share links
+ * @param {string|number} value - Time value
+ * @returns {number|null} Seconds, or null if invalid
+ */
+function parseYouTubeTime(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+    }
+    
+    const match = String(value).trim().match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s?)?$/i);
+    if (!match || (!match[1] && !match[2] && !match[3])) {
+        return null;
+    }
+    
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Math.floor(Number(seconds));
+}
+
+/**
+ * Read per-hotspot YouTube playback options
+ * Options come from the URL (t= or start=, end=, mute=1, loop=1, cc_lang_pref=) or from explicit
+ * JSON fields (start, end, mute, loop, captions), which win. Invalid options are skipped with a warning.
+ * @param {string} url - YouTube URL from the config
+ * @param {Object} fields - Explicit { start, end, mute, loop, captions } values (undefined = not set)
+ * @param {Object} source - Where the hotspot came from, for warnings (see Validation.describeConfigIssue)
+ * @returns {Object} { start, end, mute, loop, captions } with only the options that are set
+ */
+function resolveYouTubePlayback(url, fields, source) {
+    const query = new URLSearchParams((url.split('?')[1] || '').split('#')[0]);
+    const pick = (field, ...params) => {
+        if (fields[field] !== undefined) return fields[field];
+        const param = params.find(name => query.has(name));
+        return param ? query.get(param) : undefined;
+    };
+    const warn = (field, message) => ErrorHandler.warn(Validation.describeConfigIssue(source, field, message));
+    const playback = {};
+    
+    const start = pick('start', 'start', 't');
+    if (start !== undefined) {
+        const seconds = parseYouTubeTime(start);
+        if (seconds === null) {
+            warn('start', `Invalid start time "${start}" (ignored)`);
+        } else if (seconds > 0) {
+            playback.start = seconds;
+        }
+    }
+    
+    const end = pick('end', 'end');
+    if (end !== undefined) {
+        const seconds = parseYouTubeTime(end);
+        if (seconds === null) {
+            warn('end', `Invalid end time "${end}" (ignored)`);
+        } else if (seconds <= (playback.start || 0)) {
+            warn('end', `End time "${end}" must be after the start (ignored)`);
+        } else {
+            playback.end = seconds;
+        }
+    }
+    
+    ['mute', 'loop'].forEach(option => {
+        const value = pick(option, option);
+        if (value === undefined) return;
+        
+        const flag = String(value).toLowerCase();
+        if (flag === 'true' || flag === '1') {
+            playback[option] = true;
+        } else if (flag !== 'false' && flag !== '0') {
+            warn(option, `Invalid ${option} value "${value}" (use true or false, ignored)`);
+        }
+    });
+    
+    const captions = pick('captions', 'cc_lang_pref');
+    if (captions !== undefined) {
+        if (typeof captions === 'string' && /^[a-z]{2,3}(?:-[a-z0-9]+)*$/i.test(captions)) {
+            playback.captions = captions;
+        } else {
+            warn('captions', `Invalid captions language "${captions}" (e.g. "en" or "pt-BR", ignored)`);
+        }
+    }
+    
+    return playback;
+}
+
+/**
+ * Format a YouTube target with its playback options, as written in hotspots.txt
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} playback - Options from resolveYouTubePlayback()
+ * @returns {string} Short YouTube URL
+ */
+function formatYouTubeTarget(videoId, playback = {}) {
+    const params = new URLSearchParams();
+    if (playback.start) params.set('start', playback.start);
+    if (playback.end) params.set('end', playback.end);
+    if (playback.mute) params.set('mute', '1');
+    if (playback.loop) params.set('loop', '1');
+    if (playback.captions) params.set('cc_lang_pref', playback.captions);
+    
+    const query = params.toString();
+    return `https://youtu.be/${videoId}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Extract Vimeo video ID from a Vimeo URL or bare ID
+ * @param {string} url - Vimeo URL
+ * @returns {string|null} Video ID or null
+ */
+function extractVimeoVideoId(url) {
+    for (const pattern of CONFIG.VIMEO.PATTERNS) {
+        const match = url.match(pattern);
+        if (match && match[1]) {
+            return match[1];
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Check a file URL's extension (ignoring query string and fragment)
+ * @param {string} url - File URL
+ * @param {Array<string>} extensions - Allowed extensions, lowercase without the dot
+ * @returns {boolean} True if the URL ends in one of the extensions
+ */
+function hasFileExtension(url, extensions) {
+    const path = url.split(/[?#]/)[0];
+    const extension = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+    return extensions.includes(extension);
+}
+
+/**
+ * Read a shape column ("ellipse left bottom width height" or "polygon x1 y1 x2 y2 ...")
+ * Missing values surface as validation warnings in validateHotspotConfig()
+ * @param {string} shapeSpec - Shape column
+ * @returns {Object} { shape, left, bottom, width, height } or { shape, points }
+ */
+function parseHotspotShapeSpec(shapeSpec) {
+    const [shape, ...values] = shapeSpec.split(/\s+/);
+    const parsed = { shape: shape.toLowerCase() };
+    
+    if (parsed.shape === 'ellipse') {
+        [parsed.left, parsed.bottom, parsed.width, parsed.height] = values;
+    } else if (parsed.shape === 'polygon') {
+        parsed.points = [];
+        for (let index = 0; index < values.length; index += 2) {
+            parsed.points.push(values.slice(index, index + 2));
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Read the label column: the rest of the line after a number of columns, exactly as written
+ * A label wrapped in double quotes is unquoted, with "" standing for one quote
+ * @param {string} line - Configuration line
+ * @param {number} columns - Number of columns before the label
+ * @returns {string} Label, or an empty string
+ */
+function parseHotspotLabel(line, columns) {
+    let comma = -1;
+    for (let column = 0; column < columns; column++) {
+        comma = line.indexOf(',', comma + 1);
+        if (comma === -1) {
+            return '';
+        }
+    }
+    
+    const label = line.slice(comma + 1).trim();
+    const quoted = label.match(/^"((?:[^"]|"")*)"$/);
+    return quoted ? quoted[1].replace(/""/g, '"') : label;
+}
+
+/**
+ * Format a label column (the inverse of parseHotspotLabel)
+ * Labels with commas, or starting with a quote, are quoted so they read back unchanged
+ * @param {string} label - Label
+ * @returns {string} Label column
+ */
+function formatHotspotLabel(label) {
+    return label.includes(',') || label.startsWith('"') ? `"${label.replace(/"/g, '""')}"` : label;
+}
+
 /**
  * Parse a single hotspot configuration line
+ * Rectangles: page, target, left, bottom, width, height[, type[, label]]
+ * Shapes: page, target, ellipse left bottom width height[, type[, label]] or page, target, polygon x1 y1 x2 y2 ...[, type[, label]]
+ * The label is the rest of the line, so it may contain commas (optionally quoted); an empty type column means youtube
  * @param {string} line - Configuration line
  * @returns {Object|null} Parsed config or null
  */
 function parseHotspotLine(line) {
     const parts = line.split(',').map(p => p.trim());
-    if (parts.length !== 6) {
+    const source = { line, label: 'hotspot config' };
+    
+    // Shape lines name the shape in the third column; rectangles have a number there
+    if (parts.length >= 3 && /^[a-z]/i.test(parts[2])) {
+        const [pageNum, target, shapeSpec, type] = parts;
+        return {
+            pageNum,
+            type: (type || 'youtube').toLowerCase(),
+            target,
+            ...parseHotspotShapeSpec(shapeSpec),
+            label: parseHotspotLabel(line, 4),
+            source
+        };
+    }
+    
+    if (parts.length < 6) {
         return null;
     }
     
-    const [pageNum, youtubeUrl, left, bottom, width, height] = parts;
+    const [pageNum, target, left, bottom, width, height, type] = parts;
     return {
         pageNum,
-        youtubeUrl,
+        type: (type || 'youtube').toLowerCase(),
+        target,
         left,
         bottom,
         width,
         height,
-        rawLine: line
+        label: parseHotspotLabel(line, 7),
+        source
     };
 }
 
 /**
- * Validate a hotspot configuration object
- * @param {Object} config - Configuration to validate
- * @returns {Object|null} Validated config or null
+ * Parse a breakpoint override line, which applies to the hotspot line above it
+ * Same geometry as the hotspot line: "@mobile left, bottom, width, height",
+ * "@mobile ellipse left bottom width height" or "@tablet polygon x1 y1 x2 y2 ..."
+ * @param {string} line - Configuration line starting with @
+ * @returns {Object|null} { name, geometry } or null if malformed
  */
-function validateHotspotConfig(config) {
-    const { pageNum, youtubeUrl, left, bottom, width, height, rawLine } = config;
-    
-    // Extract video ID
-    const videoId = extractYouTubeVideoId(youtubeUrl);
-    if (!videoId) {
-        ErrorHandler.warn(`Could not extract video ID from: ${youtubeUrl}`);
+function parseHotspotBreakpointLine(line) {
+    const match = line.match(/^@(\S+)\s+(.+)$/);
+    if (!match) {
         return null;
     }
     
-    // Parse and validate page number
-    const parsedPageNum = parseInt(pageNum);
-    if (!Validation.validatePageNumber(parsedPageNum)) {
-        ErrorHandler.warn(`Invalid page number "${pageNum}" in hotspot config: ${rawLine}`);
-        return null;
+    const spec = match[2].trim();
+    let geometry;
+    if (/^[a-z]/i.test(spec)) {
+        geometry = parseHotspotShapeSpec(spec);
+    } else {
+        const [left, bottom, width, height] = spec.split(',').map(p => p.trim());
+        geometry = { left, bottom, width, height };
     }
     
-    // Parse and validate percentages
+    return {
+        name: match[1].toLowerCase(),
+        geometry: { ...geometry, source: { line, label: 'hotspot config' } }
+    };
+}
+
+/**
+ * Format hotspot geometry as written in hotspots.txt
+ * @param {Object} geometry - { left, bottom, width, height, points }
+ * @param {string} shape - rect, ellipse or polygon
+ * @returns {string} Geometry column(s)
+ */
+function formatHotspotGeometry(geometry, shape) {
+    const round = value => Number(value.toFixed(2));
+    const box = [geometry.left, geometry.bottom, geometry.width, geometry.height].map(round);
+    
+    if (shape === 'ellipse') {
+        return `ellipse ${box.join(' ')}`;
+    }
+    if (shape === 'polygon') {
+        // Points are stored relative to the bounding box - convert back to page percentages
+        return 'polygon ' + geometry.points.map(point => [
+            round(geometry.left + (point.x / 100) * geometry.width),
+            round(geometry.bottom + geometry.height - (point.y / 100) * geometry.height)
+        ].join(' ')).join(' ');
+    }
+    return box.join(', ');
+}
+
+/**
+ * Format a hotspot as a hotspots.txt line (the inverse of parseHotspotLine)
+ * Breakpoint overrides follow on their own @mobile / @tablet / @desktop lines
+ * @param {Object} hotspot - { pageNumber, target, type, shape, points, left, bottom, width, height, label, breakpoints };
+ *   target is written as given (a URL, file or page number)
+ * @returns {string} Config line(s)
+ */
+function formatHotspotLine(hotspot) {
+    const parts = [hotspot.pageNumber, hotspot.target, formatHotspotGeometry(hotspot, hotspot.shape)];
+    if (hotspot.label) {
+        parts.push(hotspot.type || 'youtube', formatHotspotLabel(hotspot.label));
+    } else if (hotspot.type && hotspot.type !== 'youtube') {
+        parts.push(hotspot.type);
+    }
+    
+    const overrides = HOTSPOT_BREAKPOINTS
+        .filter(name => hotspot.breakpoints && hotspot.breakpoints[name])
+        .map(name => `@${name} ${formatHotspotGeometry(hotspot.breakpoints[name], hotspot.shape)}`);
+    return [parts.join(', '), ...overrides].join('\n');
+}
+
+/**
+ * Validate a hotspot's target for its type
+ * @param {string} type - Hotspot type (one of CONFIG.HOTSPOT.TYPES)
+ * @param {string} target - Target from the config
+ * @param {Object} source - Where the hotspot came from, for warnings (see Validation.describeConfigIssue)
+ * @returns {string|number|Object|null} Video ID, playlist, URL or page number, or null if invalid
+ */
+function resolveHotspotTarget(type, target, source) {
+    const warn = (message) => ErrorHandler.warn(Validation.describeConfigIssue(source, 'target', message));
+    
+    switch (type) {
+        case 'youtube': {
+            const videoId = extractYouTubeVideoId(target);
+            if (!videoId) {
+                warn(`Could not extract video ID from "${target}"`);
+            }
+            return videoId;
+        }
+        case 'playlist': {
+            const playlist = extractYouTubePlaylist(target);
+            if (!playlist) {
+                warn(`Could not read a playlist or video IDs from "${target}"`);
+            }
+            return playlist;
+        }
+        case 'vimeo': {
+            const videoId = extractVimeoVideoId(target);
+            if (!videoId) {
+                warn(`Could not extract Vimeo video ID from "${target}"`);
+            }
+            return videoId;
+        }
+        case 'video':
+        case 'audio':
+        case 'image': {
+            const extensions = {
+                video: CONFIG.HOTSPOT.VIDEO_EXTENSIONS,
+                audio: CONFIG.HOTSPOT.AUDIO_EXTENSIONS,
+                image: CONFIG.HOTSPOT.IMAGE_EXTENSIONS
+            }[type];
+            if (!Validation.validateUrl(target) || !hasFileExtension(target, extensions)) {
+                warn(`Invalid ${type} file "${target}" (expected .${extensions.join(', .')})`);
+                return null;
+            }
+            return target;
+        }
+        case 'link':
+            if (!Validation.validateUrl(target, CONFIG.HOTSPOT.LINK_PROTOCOLS)) {
+                warn(`Invalid link "${target}"`);
+                return null;
+            }
+            return target;
+        case 'page': {
+            const pageNumber = parseInt(target, 10);
+            if (!Validation.validatePageNumber(pageNumber)) {
+                warn(`Invalid target page "${target}"`);
+                return null;
+            }
+            return pageNumber;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validate a hotspot rectangle (also the bounding box of an ellipse)
+ * @param {string|number} left - Left%
+ * @param {string|number} bottom - Bottom%
+ * @param {string|number} width - Width%
+ * @param {string|number} height - Height%
+ * @param {Object} source - Where the hotspot came from, for warnings
+ * @returns {Object|null} { left, bottom, width, height } as numbers, or null if invalid
+ */
+function validateHotspotRect(left, bottom, width, height, source) {
     const parsedLeft = parseFloat(left);
     const parsedBottom = parseFloat(bottom);
     const parsedWidth = parseFloat(width);
     const parsedHeight = parseFloat(height);
     
     if (!Validation.validatePercentage(parsedLeft)) {
-        ErrorHandler.warn(`Invalid left% "${left}" (must be 0-100) in hotspot config: ${rawLine}`);
+        ErrorHandler.warn(Validation.describeConfigIssue(source, 'left', `Invalid left% "${left}" (must be 0-100)`));
         return null;
     }
     
     if (!Validation.validatePercentage(parsedBottom)) {
-        ErrorHandler.warn(`Invalid bottom% "${bottom}" (must be 0-100) in hotspot config: ${rawLine}`);
+        ErrorHandler.warn(Validation.describeConfigIssue(source, 'bottom', `Invalid bottom% "${bottom}" (must be 0-100)`));
         return null;
     }
     
     if (!Validation.validatePositiveNumber(parsedWidth, 100)) {
-        ErrorHandler.warn(`Invalid width% "${width}" (must be >0 and <=100) in hotspot config: ${rawLine}`);
+        ErrorHandler.warn(Validation.describeConfigIssue(source, 'width', `Invalid width% "${width}" (must be >0 and <=100)`));
         return null;
     }
     
     if (!Validation.validatePositiveNumber(parsedHeight, 100)) {
-        ErrorHandler.warn(`Invalid height% "${height}" (must be >0 and <=100) in hotspot config: ${rawLine}`);
+        ErrorHandler.warn(Validation.describeConfigIssue(source, 'height', `Invalid height% "${height}" (must be >0 and <=100)`));
         return null;
     }
     
     return {
-        pageNumber: parsedPageNum,
-        videoId: videoId,
         left: parsedLeft,
         bottom: parsedBottom,
         width: parsedWidth,
@@ -100,6 +449,165 @@ function validateHotspotConfig(config) {
     };
 }
 
+/**
+ * Validate polygon corners and work out their bounding box
+ * Each corner is [x, y], measured like left% and bottom%
+ * @param {Array} points - At least three [x, y] corners
+ * @param {Object} source - Where the hotspot came from, for warnings
+ * @returns {Object|null} { shape, left, bottom, width, height, points } or null if invalid.
+ *   points are the corners as % of the bounding box, from its top-left corner
+ */
+function validateHotspotPolygon(points, source) {
+    if (!Array.isArray(points) || points.length < 3) {
+        ErrorHandler.warn(Validation.describeConfigIssue(source, 'points', 'Polygon needs at least three x y points'));
+        return null;
+    }
+    
+    const xs = [];
+    const ys = [];
+    for (let index = 0; index < points.length; index++) {
+        const point = points[index];
+        const x = Array.isArray(point) ? parseFloat(point[0]) : NaN;
+        const y = Array.isArray(point) ? parseFloat(point[1]) : NaN;
+        if (!Array.isArray(point) || point.length !== 2 || !Validation.validatePercentage(x) || !Validation.validatePercentage(y)) {
+            ErrorHandler.warn(Validation.describeConfigIssue(source, `points[${index}]`, 'Invalid polygon point (must be [x, y], each 0-100)'));
+            return null;
+        }
+        xs.push(x);
+        ys.push(y);
+    }
+    
+    const left = Math.min(...xs);
+    const bottom = Math.min(...ys);
+    const width = Math.max(...xs) - left;
+    const height = Math.max(...ys) - bottom;
+    if (width <= 0 || height <= 0) {
+        ErrorHandler.warn(Validation.describeConfigIssue(source, 'points', 'Polygon has no area'));
+        return null;
+    }
+    
+    return {
+        shape: 'polygon',
+        left,
+        bottom,
+        width,
+        height,
+        points: xs.map((x, index) => ({
+            x: ((x - left) / width) * 100,
+            y: ((bottom + height - ys[index]) / height) * 100
+        }))
+    };
+}
+
+/**
+ * Validate per-breakpoint geometry overrides
+ * Overrides keep the hotspot's shape; a bad one is dropped and the main geometry is used at that breakpoint
+ * @param {Object|undefined} breakpoints - Raw geometry by breakpoint name, each with its own source
+ * @param {string} shape - The hotspot's shape
+ * @returns {Object|null} { mobile, tablet, desktop } geometry (only those set), or null if none
+ */
+function validateHotspotBreakpoints(breakpoints, shape) {
+    if (!breakpoints) {
+        return null;
+    }
+    
+    const validated = {};
+    Object.entries(breakpoints).forEach(([name, geometry]) => {
+        const source = geometry.source;
+        if (!HOTSPOT_BREAKPOINTS.includes(name)) {
+            ErrorHandler.warn(Validation.describeConfigIssue(source, null,
+                `Unknown breakpoint "${name}" (must be one of ${HOTSPOT_BREAKPOINTS.join(', ')})`));
+            return;
+        }
+        if (geometry.shape && geometry.shape !== shape) {
+            ErrorHandler.warn(Validation.describeConfigIssue(source, null,
+                `Breakpoint geometry must use the hotspot's shape (${shape})`));
+            return;
+        }
+        
+        const result = shape === 'polygon'
+            ? validateHotspotPolygon(geometry.points, source)
+            : validateHotspotRect(geometry.left, geometry.bottom, geometry.width, geometry.height, source);
+        if (result) {
+            validated[name] = {
+                left: result.left,
+                bottom: result.bottom,
+                width: result.width,
+                height: result.height,
+                points: result.points || null
+            };
+        }
+    });
+    
+    return Object.keys(validated).length > 0 ? validated : null;
+}
+
+/**
+ * Validate a hotspot configuration object
+ * @param {Object} config - Configuration to validate, from a text line or a JSON entry
+ * @returns {Object|null} Validated config or null
+ */
+function validateHotspotConfig(config) {
+    const { pageNum, type, target, shape = 'rect', points, left, bottom, width, height, source } = config;
+    
+    if (!CONFIG.HOTSPOT.TYPES.includes(type)) {
+        ErrorHandler.warn(Validation.describeConfigIssue(source, 'type',
+            `Unknown hotspot type "${type}" (must be one of ${CONFIG.HOTSPOT.TYPES.join(', ')})`));
+        return null;
+    }
+    
+    // Video ID, playlist, file URL, link or page number, depending on the type
+    const resolvedTarget = resolveHotspotTarget(type, String(target), source);
+    if (resolvedTarget === null) {
+        return null;
+    }
+    
+    // Parse and validate page number
+    const parsedPageNum = parseInt(pageNum);
+    if (!Validation.validatePageNumber(parsedPageNum)) {
+        ErrorHandler.warn(Validation.describeConfigIssue(source, 'page', `Invalid page number "${pageNum}"`));
+        return null;
+    }
+    
+    // Parse and validate percentages (shapes are positioned by their bounding box)
+    let geometry = null;
+    if (shape === 'polygon') {
+        geometry = validateHotspotPolygon(points, source);
+    } else if (shape === 'rect' || shape === 'ellipse') {
+        const box = validateHotspotRect(left, bottom, width, height, source);
+        geometry = box ? { shape, ...box } : null;
+    } else {
+        ErrorHandler.warn(Validation.describeConfigIssue(source, 'shape', `Unknown hotspot shape "${shape}" (must be ellipse or polygon)`));
+    }
+    if (!geometry) {
+        return null;
+    }
+    
+    // Labels are optional - a bad one is dropped rather than the hotspot
+    let hotspotLabel = null;
+    if (typeof config.label === 'string' && config.label.trim() !== '') {
+        hotspotLabel = config.label.trim();
+    } else if (config.label !== undefined && typeof config.label !== 'string') {
+        ErrorHandler.warn(Validation.describeConfigIssue(source, 'label', 'Label must be text (ignored)'));
+    }
+    
+    return {
+        pageNumber: parsedPageNum,
+        type,
+        target: resolvedTarget,
+        videoId: type === 'youtube' ? resolvedTarget : null,
+        playback: type === 'youtube' ? resolveYouTubePlayback(String(target), config.playback || {}, source) : null,
+        label: hotspotLabel,
+        shape: geometry.shape,
+        points: geometry.points || null,
+        left: geometry.left,
+        bottom: geometry.bottom,
+        width: geometry.width,
+        height: geometry.height,
+        breakpoints: validateHotspotBreakpoints(config.breakpoints, geometry.shape)
+    };
+}
+
 /**
  * Normalize hotspot configuration and organize by page
  * @param {Array} configs - Array of validated configs
@@ -117,27 +625,115 @@ function normalizeHotspotConfig(configs) {
     });
 }
 
+/**
+ * Read the hotspots from a JSON config (see config/schema/hotspots.schema.json)
+ * Warnings cite the entry's path, e.g. hotspots[3].width
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} Entries in the shape parseHotspotLine() returns, ready for validateHotspotConfig()
+ */
+function parseHotspotJson(text) {
+    const entries = Validation.parseConfigJson(text, 'hotspots');
+    if (!entries) {
+        return [];
+    }
+    
+    const parsed = [];
+    entries.forEach((entry, index) => {
+        const source = { path: `hotspots[${index}]` };
+        const shape = entry && typeof entry.shape === 'string' ? entry.shape.toLowerCase() : 'rect';
+        const geometryFields = shape === 'polygon' ? ['points'] : ['left', 'bottom', 'width', 'height'];
+        if (!Validation.validateConfigEntry(entry, source.path, ['page', 'target', ...geometryFields],
+            ['type', 'shape', 'label', 'breakpoints', 'start', 'end', 'mute', 'loop', 'captions'])) {
+            return;
+        }
+        
+        // Each override gets its own path, e.g. hotspots[3].breakpoints.mobile.width
+        let breakpoints;
+        if (entry.breakpoints !== undefined) {
+            if (!entry.breakpoints || typeof entry.breakpoints !== 'object' || Array.isArray(entry.breakpoints)) {
+                ErrorHandler.warn(`${source.path}.breakpoints: must be an object (ignored)`);
+            } else {
+                breakpoints = {};
+                Object.entries(entry.breakpoints).forEach(([name, geometry]) => {
+                    const path = `${source.path}.breakpoints.${name}`;
+                    if (Validation.validateConfigEntry(geometry, path, [], ['left', 'bottom', 'width', 'height', 'points'])) {
+                        breakpoints[name] = { ...geometry, source: { path } };
+                    }
+                });
+            }
+        }
+        
+        parsed.push({
+            pageNum: entry.page,
+            type: entry.type === undefined ? 'youtube' : String(entry.type).toLowerCase(),
+            target: entry.target,
+            shape,
+            points: entry.points,
+            left: entry.left,
+            bottom: entry.bottom,
+            width: entry.width,
+            height: entry.height,
+            label: entry.label,
+            breakpoints,
+            playback: {
+                start: entry.start,
+                end: entry.end,
+                mute: entry.mute,
+                loop: entry.loop,
+                captions: entry.captions
+            },
+            source
+        });
+    });
+    return parsed;
+}
+
 /**
  * Parse hotspot configuration text
+ * Accepts the line format of hotspots.txt or a JSON config ({ "hotspots": [...] })
  * @param {string} text - Configuration text
  * @returns {Array} Array of validated hotspot configs
  */
 function parseHotspotConfig(text) {
     const configs = [];
-    const lines = text.split('\n');
     
-    for (let line of lines) {
-        // Remove comments and whitespace
-        line = line.trim();
-        if (line === '' || line.startsWith('#')) continue;
-        
-        // Parse line
-        const parsed = parseHotspotLine(line);
-        if (!parsed) {
-            ErrorHandler.warn(`Invalid hotspot config line: ${line}`);
-            continue;
+    let parsedEntries;
+    if (text.trim().startsWith('{')) {
+        parsedEntries = parseHotspotJson(text);
+    } else {
+        parsedEntries = [];
+        let previous = null;
+        for (let line of text.split('\n')) {
+            // Remove comments and whitespace
+            line = line.trim();
+            if (line === '' || line.startsWith('#')) continue;
+            
+            // Breakpoint overrides belong to the hotspot line above them
+            if (line.startsWith('@')) {
+                const override = parseHotspotBreakpointLine(line);
+                if (!override) {
+                    ErrorHandler.warn(`Invalid hotspot breakpoint line: ${line}`);
+                } else if (!previous) {
+                    ErrorHandler.warn(`Hotspot breakpoint line has no hotspot line above it: ${line}`);
+                } else {
+                    previous.breakpoints = previous.breakpoints || {};
+                    previous.breakpoints[override.name] = override.geometry;
+                }
+                continue;
+            }
+            
+            // Parse line
+            const parsed = parseHotspotLine(line);
+            previous = parsed;
+            if (!parsed) {
+                ErrorHandler.warn(`Invalid hotspot config line: ${line}`);
+                continue;
+            }
+            parsedEntries.push(parsed);
         }
-        
+    }
+    
+    for (const parsed of parsedEntries) {
         // Validate config
         const validated = validateHotspotConfig(parsed);
         if (!validated) {
@@ -156,6 +752,11 @@ function parseHotspotConfig(text) {
  * @returns {Promise<void>}
  */
 async function loadHotspotConfigs() {
+    if (!CONFIG.HOTSPOT.FILE) {
+        return;
+    }
+    
+    const collectionId = appState.getCollectionId();
     try {
         const response = await fetch(CONFIG.HOTSPOT.FILE);
         if (!response.ok) {
@@ -164,6 +765,12 @@ async function loadHotspotConfigs() {
         }
         
         const text = await response.text();
+        
+        // The reader switched collections while this was loading - these hotspots belong to the old one
+        if (appState.getCollectionId() !== collectionId) {
+            return;
+        }
+        
         const configs = parseHotspotConfig(text);
         appState.setHotspotConfigs(configs);
         ErrorHandler.log(`Loaded ${configs.length} hotspot configurations`);
@@ -174,61 +781,164 @@ async function loadHotspotConfigs() {
 }
 
 /**
- * Calculate hotspot position for mobile (with touch scaling)
+ * Get the breakpoint hotspot overrides currently apply to
+ * @returns {string} 'mobile', 'tablet' or 'desktop'
+ */
+function getCurrentHotspotBreakpoint() {
+    const width = window.innerWidth;
+    if (width <= CONFIG.BREAKPOINTS.MOBILE) {
+        return 'mobile';
+    }
+    return width <= CONFIG.BREAKPOINTS.TABLET ? 'tablet' : 'desktop';
+}
+
+/**
+ * Get a hotspot's geometry at the current breakpoint
  * @param {Object} config - Hotspot configuration
+ * @returns {Object} The config with its override for this breakpoint (if any) applied
+ */
+function getHotspotGeometry(config) {
+    const override = config.breakpoints && config.breakpoints[getCurrentHotspotBreakpoint()];
+    if (!override) {
+        return config;
+    }
+    return { ...config, ...override, points: override.points || config.points };
+}
+
+/**
+ * Convert hotspot geometry to rendered pixels, measured from the image's top-left corner
+ * @param {Object} geometry - { left, bottom, width, height } in % of the natural image
  * @param {Object} imageDimensions - Image dimensions
- * @returns {Object} Position and dimensions in percentages
+ * @returns {Object} { left, top, width, height } in rendered pixels
  */
-function calculateMobileHotspotPosition(config, imageDimensions) {
+function getRenderedHotspotRect(geometry, imageDimensions) {
     const { naturalWidth, naturalHeight, imageWidth, imageHeight } = imageDimensions;
     
     // Convert config percentages to pixel values
-    const naturalWidthPx = (naturalWidth * config.width) / 100;
-    const naturalHeightPx = (naturalHeight * config.height) / 100;
-    const naturalLeft = (naturalWidth * config.left) / 100;
-    const naturalBottom = (naturalHeight * config.bottom) / 100;
+    const naturalWidthPx = (naturalWidth * geometry.width) / 100;
+    const naturalHeightPx = (naturalHeight * geometry.height) / 100;
+    const naturalLeft = (naturalWidth * geometry.left) / 100;
+    const naturalBottom = (naturalHeight * geometry.bottom) / 100;
     const naturalTop = naturalHeight - naturalBottom - naturalHeightPx;
     
     // Scale natural coordinates to rendered pixels
     const scaleX = imageWidth / naturalWidth;
     const scaleY = imageHeight / naturalHeight;
-    let actualWidth = naturalWidthPx * scaleX;
-    let actualHeight = naturalHeightPx * scaleY;
-    let actualLeft = naturalLeft * scaleX;
-    let actualTop = naturalTop * scaleY;
-    
-    // Apply mobile touch scaling
-    const minImageDimension = Math.min(imageWidth, imageHeight);
+    return {
+        left: naturalLeft * scaleX,
+        top: naturalTop * scaleY,
+        width: naturalWidthPx * scaleX,
+        height: naturalHeightPx * scaleY
+    };
+}
+
+/**
+ * Grow a rendered hotspot rect around its centre to a tappable size (mobile touch scaling)
+ * @param {Object} rect - { left, top, width, height } in rendered pixels
+ * @param {Object} imageDimensions - Image dimensions
+ * @returns {Object} Inflated rect (same size when already large enough)
+ */
+function inflateHotspotRect(rect, imageDimensions) {
+    const minImageDimension = Math.min(imageDimensions.imageWidth, imageDimensions.imageHeight);
     const targetMinSide = Math.max(CONFIG.HOTSPOT.MIN_TOUCH_SIZE, minImageDimension * CONFIG.HOTSPOT.MIN_TOUCH_SCALE);
-    const currentMinSide = Math.min(actualWidth, actualHeight);
+    const currentMinSide = Math.min(rect.width, rect.height);
     const touchScale = currentMinSide < targetMinSide ? targetMinSide / currentMinSide : 1;
     
-    if (touchScale > 1) {
-        const baseWidth = actualWidth;
-        const baseHeight = actualHeight;
-        
-        actualWidth *= touchScale;
-        actualHeight *= touchScale;
+    const width = rect.width * touchScale;
+    const height = rect.height * touchScale;
+    return {
+        left: rect.left - (width - rect.width) / 2,
+        top: rect.top - (height - rect.height) / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * Shrink an inflated hotspot rect so it stops halfway to each neighbouring hotspot
+ * Trims whenever the rect crosses the halfway line, even if it doesn't reach the neighbour's configured rect
+ * (both hotspots grow); neighbours that already overlap the hotspot as configured are left alone
+ * @param {Object} rect - Inflated { left, top, width, height } in rendered pixels (updated in place)
+ * @param {Object} base - The hotspot's rect before inflation
+ * @param {Array<Object>} neighbours - Neighbouring hotspots as { base, inflated } rects
+ */
+function avoidHotspotOverlaps(rect, base, neighbours) {
+    neighbours.forEach(({ base: other, inflated }) => {
+        // Gaps between the configured rects (negative when they overlap on that axis)
+        const gapX = Math.max(other.left - (base.left + base.width), base.left - (other.left + other.width));
+        const gapY = Math.max(other.top - (base.top + base.height), base.top - (other.top + other.height));
+        if (gapX < 0 && gapY < 0) return;
         
-        // Offset to keep hotspot centered
-        actualLeft -= (actualWidth - baseWidth) / 2;
-        actualTop -= (actualHeight - baseHeight) / 2;
-    }
+        // Split the wider gap; the neighbour inflates into its own half
+        if (gapX >= gapY) {
+            // Only a neighbour level with the hotspot (once both are inflated) limits its width
+            if (rect.top >= inflated.top + inflated.height || inflated.top >= rect.top + rect.height) return;
+            
+            if (other.left >= base.left + base.width) {
+                rect.width = Math.min(rect.width, base.left + base.width + gapX / 2 - rect.left);
+            } else {
+                const limit = base.left - gapX / 2;
+                if (rect.left < limit) {
+                    rect.width -= limit - rect.left;
+                    rect.left = limit;
+                }
+            }
+        } else {
+            // Only a neighbour above or below the hotspot (once both are inflated) limits its height
+            if (rect.left >= inflated.left + inflated.width || inflated.left >= rect.left + rect.width) return;
+            
+            if (other.top >= base.top + base.height) {
+                rect.height = Math.min(rect.height, base.top + base.height + gapY / 2 - rect.top);
+            } else {
+                const limit = base.top - gapY / 2;
+                if (rect.top < limit) {
+                    rect.height -= limit - rect.top;
+                    rect.top = limit;
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Calculate hotspot position for mobile (with touch scaling)
+ * @param {Object} config - Hotspot configuration (geometry at the current breakpoint)
+ * @param {Object} imageDimensions - Image dimensions
+ * @param {Array<Object>} [neighbours=[]] - Geometry of the other hotspots on the page; inflation stops short of them
+ * @returns {Object} Position and dimensions in percentages
+ */
+function calculateMobileHotspotPosition(config, imageDimensions, neighbours = []) {
+    const { imageWidth, imageHeight } = imageDimensions;
+    
+    const base = getRenderedHotspotRect(config, imageDimensions);
+    
+    // Neighbours grow too, so compare against their inflated rects
+    const neighbourRects = neighbours.map(geometry => {
+        const neighbourBase = getRenderedHotspotRect(geometry, imageDimensions);
+        return { base: neighbourBase, inflated: inflateHotspotRect(neighbourBase, imageDimensions) };
+    });
+    
+    // Apply mobile touch scaling; inflated hotspots must not swallow taps meant for their neighbours
+    const rect = inflateHotspotRect(base, imageDimensions);
+    avoidHotspotOverlaps(rect, base, neighbourRects);
     
     // Clamp within image bounds
-    actualWidth = Math.min(actualWidth, imageWidth);
-    actualHeight = Math.min(actualHeight, imageHeight);
-    actualLeft = Math.max(0, Math.min(actualLeft, imageWidth - actualWidth));
-    actualTop = Math.max(0, Math.min(actualTop, imageHeight - actualHeight));
+    rect.width = Math.min(rect.width, imageWidth);
+    rect.height = Math.min(rect.height, imageHeight);
+    rect.left = Math.max(0, Math.min(rect.left, imageWidth - rect.width));
+    rect.top = Math.max(0, Math.min(rect.top, imageHeight - rect.height));
+    
+    // Shifting back inside the image can push the rect across a halfway line again
+    avoidHotspotOverlaps(rect, base, neighbourRects);
     
     // Convert to percentages
     return {
-        left: (actualLeft / imageWidth) * 100,
-        top: (actualTop / imageHeight) * 100,
-        width: (actualWidth / imageWidth) * 100,
-        height: (actualHeight / imageHeight) * 100,
-        renderedWidth: actualWidth,
-        renderedHeight: actualHeight
+        left: (rect.left / imageWidth) * 100,
+        top: (rect.top / imageHeight) * 100,
+        width: (rect.width / imageWidth) * 100,
+        height: (rect.height / imageHeight) * 100,
+        renderedWidth: rect.width,
+        renderedHeight: rect.height
     };
 }
 
@@ -251,15 +961,62 @@ function calculateDesktopHotspotPosition(config, imageDimensions) {
     };
 }
 
+/**
+ * Convert a desktop position back to config values (the inverse of calculateDesktopHotspotPosition)
+ * Used by the hotspot editor so exported coordinates match runtime placement
+ * @param {Object} position - { left, top, width, height } in % of the rendered image
+ * @returns {Object} { left, bottom, width, height } as written in hotspots.txt
+ */
+function calculateHotspotConfigFromPosition(position) {
+    return {
+        left: position.left,
+        bottom: 100 - position.top - position.height,
+        width: position.width,
+        height: position.height
+    };
+}
+
 /**
  * Update SVG border stroke-dasharray based on dimensions
+ * Ellipse and polygon outlines are redrawn in pixels for the rendered size
  * @param {HTMLElement} hotspot - Hotspot element
  * @param {number} renderedWidth - Rendered width
  * @param {number} renderedHeight - Rendered height
+ * @param {Object} config - Hotspot configuration
  */
-function updateSVGBorder(hotspot, renderedWidth, renderedHeight) {
-    const perimeter = 2 * (renderedWidth + renderedHeight);
-    const svg = hotspot.querySelector('.border-rect');
+function updateSVGBorder(hotspot, renderedWidth, renderedHeight, config = {}) {
+    let perimeter = 2 * (renderedWidth + renderedHeight);
+    
+    const outline = hotspot.querySelector('.border-shape');
+    if (outline) {
+        // The SVG extends past the hotspot by --hotspot-border-offset on every side
+        const offset = parseFloat(getComputedStyle(hotspot).getPropertyValue('--hotspot-border-offset')) || 0;
+        
+        if (config.shape === 'ellipse') {
+            const rx = renderedWidth / 2;
+            const ry = renderedHeight / 2;
+            outline.setAttribute('cx', offset + rx);
+            outline.setAttribute('cy', offset + ry);
+            outline.setAttribute('rx', rx);
+            outline.setAttribute('ry', ry);
+            
+            // Ramanujan's approximation
+            perimeter = Math.PI * (3 * (rx + ry) - Math.sqrt((3 * rx + ry) * (rx + 3 * ry)));
+        } else if (config.shape === 'polygon') {
+            const points = config.points.map(point => ({
+                x: offset + (point.x / 100) * renderedWidth,
+                y: offset + (point.y / 100) * renderedHeight
+            }));
+            outline.setAttribute('points', points.map(point => `${point.x},${point.y}`).join(' '));
+            
+            perimeter = points.reduce((total, point, index) => {
+                const next = points[(index + 1) % points.length];
+                return total + Math.hypot(next.x - point.x, next.y - point.y);
+            }, 0);
+        }
+    }
+    
+    const svg = hotspot.querySelector('.border-rect, .border-shape');
     if (svg) {
         svg.setAttribute('stroke-dasharray', perimeter);
         svg.setAttribute('stroke-dashoffset', perimeter);
@@ -303,15 +1060,19 @@ function positionHotspot(hotspot, config, page) {
         imageHeight
     };
     
-    // Check if mobile
-    const isMobile = window.innerWidth <= CONFIG.BREAKPOINTS.MOBILE;
+    // Geometry can be overridden per breakpoint
+    const geometry = getHotspotGeometry(config);
+    const isMobile = getCurrentHotspotBreakpoint() === 'mobile';
     
     // Calculate position
     let position;
     if (isMobile) {
-        position = calculateMobileHotspotPosition(config, imageDimensions);
+        const neighbours = appState.getHotspotElements()
+            .filter(element => element.page === page && element.hotspot !== hotspot)
+            .map(element => getHotspotGeometry(element.config));
+        position = calculateMobileHotspotPosition(geometry, imageDimensions, neighbours);
     } else {
-        position = calculateDesktopHotspotPosition(config, imageDimensions);
+        position = calculateDesktopHotspotPosition(geometry, imageDimensions);
     }
     
     // Apply CSS positioning
@@ -321,8 +1082,11 @@ function positionHotspot(hotspot, config, page) {
     hotspot.style.height = `${position.height}%`;
     hotspot.style.removeProperty('bottom');
     
+    // Labels near the top of the page would be cut off above the hotspot - show them below
+    hotspot.classList.toggle('label-below', position.top < CONFIG.HOTSPOT.LABEL_BELOW_TOP);
+    
     // Update SVG border
-    updateSVGBorder(hotspot, position.renderedWidth, position.renderedHeight);
+    updateSVGBorder(hotspot, position.renderedWidth, position.renderedHeight, geometry);
 }
 
 /**
@@ -335,18 +1099,51 @@ function repositionAllHotspots() {
     });
 }
 
+/**
+ * Get the accessible label for a hotspot
+ * The configured label wins; links keep their new-tab notice
+ * @param {Object} config - Hotspot configuration
+ * @returns {string} Label describing what the hotspot does
+ */
+function getHotspotLabel(config) {
+    if (config.label) {
+        return config.type === 'link' ? `${config.label} (opens in a new tab)` : config.label;
+    }
+    
+    switch (config.type) {
+        case 'playlist':
+            return 'Watch Videos';
+        case 'audio':
+            return 'Play Audio';
+        case 'image':
+            return 'View Image';
+        case 'link':
+            return 'Open Link (opens in a new tab)';
+        case 'page':
+            return `Go to Page ${config.target}`;
+        default:
+            return 'Watch Video';
+    }
+}
+
 /**
  * Create a hotspot element
  * @param {Object} config - Hotspot configuration
  * @returns {HTMLElement} Hotspot element
  */
 function createHotspotElement(config) {
-    const hotspot = DOM.createElement('div', 'youtube-hotspot', {
-        'data-video-id': config.videoId,
-        'aria-label': 'Watch Video',
+    const attributes = {
+        'data-hotspot-type': config.type,
+        'aria-label': getHotspotLabel(config),
         tabindex: '0',
-        role: 'button'
-    });
+        role: config.type === 'link' ? 'link' : 'button'
+    };
+    if (config.videoId) {
+        attributes['data-video-id'] = config.videoId;
+    }
+    
+    const shaped = config.shape === 'ellipse' || config.shape === 'polygon';
+    const hotspot = DOM.createElement('div', `youtube-hotspot hotspot-${config.type}${shaped ? ' hotspot-shaped' : ''}`, attributes);
     
     // Create SVG border
     const svg = DOM.createSVGElement('svg', {
@@ -354,27 +1151,49 @@ function createHotspotElement(config) {
         xmlns: 'http://www.w3.org/2000/svg'
     });
     
-    const rect = DOM.createSVGElement('rect', {
-        class: 'border-rect',
-        x: '1',
-        y: '1',
-        rx: '4',
-        ry: '4'
-    });
-    
-    svg.appendChild(rect);
+    // Shaped outlines also take the clicks (see .hotspot-shaped); updateSVGBorder() sizes them
+    const outline = shaped
+        ? DOM.createSVGElement(config.shape, { class: 'border-shape' })
+        : DOM.createSVGElement('rect', {
+            class: 'border-rect',
+            x: '1',
+            y: '1',
+            rx: '4',
+            ry: '4'
+        });
+        
+    svg.appendChild(outline);
     hotspot.appendChild(svg);
     
+    // Tooltip on hover/focus, a persistent chip on touch screens (see .hotspot-label);
+    // screen readers get the same text from aria-label
+    if (config.label) {
+        hotspot.appendChild(DOM.createElement('span', 'hotspot-label', {
+            'aria-hidden': 'true',
+            textContent: config.label
+        }));
+    }
+    
     return hotspot;
 }
 
+/**
+ * Find the configuration of a rendered hotspot
+ * @param {HTMLElement} hotspot - Hotspot element
+ * @returns {Object|null} Hotspot configuration, or null if the element isn't a tracked hotspot
+ */
+function getHotspotConfigForElement(hotspot) {
+    const entry = appState.getHotspotElements().find(element => element.hotspot === hotspot);
+    return entry ? entry.config : null;
+}
+
 /**
  * Attach hotspots to a page
  * @param {HTMLElement} page - Page element
  * @param {number} pageNumber - Page number
- * @param {Function} openModal - Function to open modal
+ * @param {Function} activate - Called with a hotspot's config when it is clicked (see activateHotspot)
  */
-function attachHotspotsToPage(page, pageNumber, openModal) {
+function attachHotspotsToPage(page, pageNumber, activate) {
     const configsByPage = appState.getHotspotConfigsByPage();
     const configs = configsByPage.get(pageNumber);
     if (!configs || configs.length === 0) {
@@ -398,10 +1217,10 @@ function attachHotspotsToPage(page, pageNumber, openModal) {
             e.stopPropagation();
         });
         
-        // Handle click to open modal
+        // Handle click: open the modal, link or page for the hotspot's type
         hotspot.addEventListener('click', (e) => {
-            if (config.videoId && openModal) {
-                openModal(config.videoId);
+            if (activate) {
+                activate(config);
             }
             e.stopPropagation();
         });
@@ -414,3 +1233,22 @@ function attachHotspotsToPage(page, pageNumber, openModal) {
     });
 }
 
+
+/**
+ * Remove all hotspots from a page and forget their state
+ * @param {HTMLElement} page - Page element
+ */
+function detachHotspotsFromPage(page) {
+    const removed = appState.removeHotspotElementsForPage(page);
+    const animatedHotspots = appState.getAnimatedHotspots();
+    
+    removed.forEach(({ hotspot }) => {
+        animatedHotspots.delete(hotspot);
+        hotspot.remove();
+    });
+    
+    const observer = appState.getHotspotObserver();
+    if (observer) {
+        observer.unobserve(page);
+    }
+}
@@ -8,14 +8,373 @@
 // Format consistency optimization: remember which format worked
 let preferredFormat = null;
 
+// Formats whose width variant folders turned out to be missing (probe mode only)
+const formatsWithoutVariants = new Set();
+
+// Per-page formats discovered by probing, remembered for the session: { "7": "png" }
+const PAGE_FORMAT_STORAGE_KEY = 'portfolio-page-formats';
+let rememberedPageFormats = null;
+
+// Lite network profile: furthest page the reader has come near, and loaders waiting for them to scroll on
+let furthestViewedPage = 0;
+let loadingWindowWaiters = [];
+
+/**
+ * Read the per-page formats remembered in sessionStorage for the current image folder
+ * @returns {Object} Map of page number to format
+ */
+function getRememberedPageFormats() {
+    if (rememberedPageFormats === null) {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(PAGE_FORMAT_STORAGE_KEY) || '{}');
+            rememberedPageFormats = stored[CONFIG.IMAGE.FOLDER] || {};
+        } catch (error) {
+            rememberedPageFormats = {};
+        }
+    }
+    return rememberedPageFormats;
+}
+
+/**
+ * Remember which format a page loaded in, so later visits this session request it directly
+ * @param {number} pageNumber - Page number
+ * @param {string} format - Format that loaded
+ */
+function rememberPageFormat(pageNumber, format) {
+    const formats = getRememberedPageFormats();
+    if (formats[pageNumber] === format) {
+        return;
+    }
+    formats[pageNumber] = format;
+    
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(PAGE_FORMAT_STORAGE_KEY) || '{}');
+        stored[CONFIG.IMAGE.FOLDER] = formats;
+        sessionStorage.setItem(PAGE_FORMAT_STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+        // Storage unavailable (private mode, quota) - the map still applies for this page load
+    }
+}
+
+/**
+ * Look up the format a page is known to exist in
+ * Order: CONFIG.IMAGE.PAGE_FORMATS override, manifest "format", format remembered this session
+ * @param {number} pageNumber - Page number
+ * @param {Object|null} manifestEntry - Manifest entry for this page
+ * @returns {string|null} Format or null when unknown
+ */
+function getKnownPageFormat(pageNumber, manifestEntry) {
+    const override = CONFIG.IMAGE.PAGE_FORMATS && CONFIG.IMAGE.PAGE_FORMATS[pageNumber];
+    if (typeof override === 'string' && override !== '') {
+        return override.toLowerCase();
+    }
+    
+    if (manifestEntry) {
+        return manifestEntry.format || null;
+    }
+    
+    return getRememberedPageFormats()[pageNumber] || null;
+}
+
+/**
+ * Normalize a single manifest file reference
+ * Accepts either a plain path string or an object with path, bytes and width variants
+ * @param {string|Object} file - File reference from the manifest
+ * @returns {Object|null} Normalized file ({ path, bytes, variants }) or null
+ */
+function normalizeManifestFile(file) {
+    if (typeof file === 'string' && file.trim() !== '') {
+        return { path: file.trim(), bytes: null, variants: [] };
+    }
+    
+    if (file && typeof file.path === 'string' && file.path.trim() !== '') {
+        const bytes = Validation.validatePositiveNumber(file.bytes) ? Number(file.bytes) : null;
+        
+        // Variants are keyed by pixel width: { "800": "avif/800/page_01.avif", ... }
+        const variants = [];
+        Object.entries(file.variants || {}).forEach(([width, variant]) => {
+            const parsedWidth = parseInt(width, 10);
+            const variantPath = typeof variant === 'string' ? variant : variant && variant.path;
+            if (Validation.validatePositiveNumber(parsedWidth) && typeof variantPath === 'string' && variantPath.trim() !== '') {
+                variants.push({ width: parsedWidth, path: variantPath.trim() });
+            }
+        });
+        variants.sort((a, b) => a.width - b.width);
+        
+        return { path: file.path.trim(), bytes, variants };
+    }
+    
+    return null;
+}
+
+/**
+ * Normalize a page's low-quality preview (LQIP) settings
+ * @param {Object} entry - Manifest or preview sidecar entry
+ * @returns {Object|null} Preview ({ src, blurhash }) or null when the entry has none
+ */
+function normalizePagePreview(entry) {
+    const preview = typeof entry.preview === 'string' && entry.preview.trim() !== '' ? entry.preview.trim() : null;
+    const blurhash = typeof entry.blurhash === 'string' && BlurHash.isValid(entry.blurhash) ? entry.blurhash : null;
+    
+    if (typeof entry.blurhash === 'string' && !blurhash) {
+        ErrorHandler.warn(`Invalid BlurHash for page ${entry.page}, ignoring it`);
+    }
+    
+    if (!preview && !blurhash) {
+        return null;
+    }
+    
+    return {
+        // Previews are tiny files in images/ or inline data URIs
+        src: preview && !preview.startsWith('data:') ? `${CONFIG.IMAGE.FOLDER}${preview}` : preview,
+        blurhash
+    };
+}
+
+/**
+ * Normalize and validate raw manifest data
+ * Invalid page entries are skipped with a warning rather than rejecting the whole manifest
+ * @param {Object} data - Parsed manifest JSON
+ * @returns {Object|null} Normalized manifest ({ version, pages }) or null if unusable
+ */
+function normalizePageManifest(data) {
+    if (!data || !Array.isArray(data.pages)) {
+        ErrorHandler.warn('Page manifest is missing a "pages" array');
+        return null;
+    }
+    
+    const pages = [];
+    const seenPages = new Set();
+    
+    data.pages.forEach((entry, index) => {
+        const pageNumber = parseInt(entry && entry.page, 10);
+        if (!Validation.validatePageNumber(pageNumber)) {
+            ErrorHandler.warn(`Invalid page number in manifest entry ${index}`, entry);
+            return;
+        }
+        
+        if (seenPages.has(pageNumber)) {
+            ErrorHandler.warn(`Duplicate manifest entry for page ${pageNumber}, keeping the first one`);
+            return;
+        }
+        
+        const files = {};
+        Object.entries(entry.files || {}).forEach(([format, file]) => {
+            const normalized = normalizeManifestFile(file);
+            if (normalized) {
+                files[format.toLowerCase()] = normalized;
+            }
+        });
+        
+        if (Object.keys(files).length === 0) {
+            ErrorHandler.warn(`Manifest entry for page ${pageNumber} lists no files`);
+            return;
+        }
+        
+        const hasDimensions = Validation.validatePositiveNumber(entry.width) && Validation.validatePositiveNumber(entry.height);
+        
+        // Optional per-page format to request first (must be one of the listed files)
+        let format = typeof entry.format === 'string' ? entry.format.toLowerCase() : null;
+        if (format && !files[format]) {
+            ErrorHandler.warn(`Manifest entry for page ${pageNumber} prefers "${format}" but lists no such file, ignoring it`);
+            format = null;
+        }
+        
+        seenPages.add(pageNumber);
+        pages.push({
+            pageNumber,
+            width: hasDimensions ? Number(entry.width) : null,
+            height: hasDimensions ? Number(entry.height) : null,
+            preview: normalizePagePreview(entry),
+            format,
+            files
+        });
+    });
+    
+    if (pages.length === 0) {
+        ErrorHandler.warn('Page manifest contains no usable pages');
+        return null;
+    }
+    
+    pages.sort((a, b) => a.pageNumber - b.pageNumber);
+    
+    return {
+        version: data.version || null,
+        pages
+    };
+}
+
+/**
+ * Load the optional page manifest (CONFIG.IMAGE.MANIFEST_FILE)
+ * @returns {Promise<Object|null>} Normalized manifest or null when missing or invalid
+ */
+async function loadPageManifest() {
+    if (!CONFIG.IMAGE.MANIFEST_FILE) {
+        return null;
+    }
+    
+    try {
+        const response = await fetch(CONFIG.IMAGE.MANIFEST_FILE, { cache: 'no-cache' });
+        if (!response.ok) {
+            ErrorHandler.log('No page manifest found - discovering pages by probing');
+            return null;
+        }
+        
+        const manifest = normalizePageManifest(await response.json());
+        if (manifest) {
+            ErrorHandler.log(`Loaded page manifest with ${manifest.pages.length} pages`);
+        }
+        return manifest;
+        
+    } catch (error) {
+        ErrorHandler.warn('Could not read page manifest - discovering pages by probing', error);
+        return null;
+    }
+}
+
+/**
+ * Collect page previews, from the manifest or else from the preview sidecar (CONFIG.IMAGE.PREVIEW_FILE)
+ * The sidecar lets probe-mode portfolios have previews without a full manifest:
+ * { "pages": [{ "page": 1, "width": 2000, "height": 1000, "blurhash": "LEHV6nWB2yk8pyo0adR*.7kCMdnj" }] }
+ * @param {Object|null} manifest - Normalized manifest, if one was loaded
+ * @returns {Promise<Map<number, Object>>} Previews ({ src, blurhash, width, height }) by page number, in page order
+ */
+async function loadPagePreviews(manifest) {
+    const previews = new Map();
+    
+    if (manifest) {
+        manifest.pages
+            .filter(entry => entry.preview)
+            .forEach(entry => previews.set(entry.pageNumber, { ...entry.preview, width: entry.width, height: entry.height }));
+        return previews;
+    }
+    
+    if (!CONFIG.IMAGE.PREVIEW_FILE) {
+        return previews;
+    }
+    
+    try {
+        const response = await fetch(CONFIG.IMAGE.PREVIEW_FILE, { cache: 'no-cache' });
+        if (!response.ok) {
+            return previews;
+        }
+        
+        const data = await response.json();
+        (Array.isArray(data.pages) ? data.pages : [])
+            .map(entry => ({ entry, pageNumber: parseInt(entry && entry.page, 10) }))
+            .filter(({ pageNumber }) => Validation.validatePageNumber(pageNumber))
+            .sort((a, b) => a.pageNumber - b.pageNumber)
+            .forEach(({ entry, pageNumber }) => {
+                const preview = normalizePagePreview(entry);
+                if (!preview || previews.has(pageNumber)) return;
+                
+                const hasDimensions = Validation.validatePositiveNumber(entry.width) && Validation.validatePositiveNumber(entry.height);
+                previews.set(pageNumber, {
+                    ...preview,
+                    width: hasDimensions ? Number(entry.width) : null,
+                    height: hasDimensions ? Number(entry.height) : null
+                });
+            });
+        
+        ErrorHandler.log(`Loaded ${previews.size} page previews`);
+    } catch (error) {
+        ErrorHandler.warn('Could not read page previews - pages will show the default loader', error);
+    }
+    
+    return previews;
+}
+
+/**
+ * List the width variants available for one format of a page
+ * @param {string} format - Image format
+ * @param {string} filename - Full-resolution filename (e.g. "page_01.avif")
+ * @param {Object|null} manifestFile - Manifest file entry, if loading from the manifest
+ * @returns {Array<Object>} Variants ({ width, path }) sorted by ascending width
+ */
+function getImageVariants(format, filename, manifestFile) {
+    if (manifestFile) {
+        return manifestFile.variants.map(variant => ({
+            width: variant.width,
+            path: `${CONFIG.IMAGE.FOLDER}${variant.path}`
+        }));
+    }
+    
+    if (!Array.isArray(CONFIG.IMAGE.VARIANT_WIDTHS) || formatsWithoutVariants.has(format)) {
+        return [];
+    }
+    
+    return CONFIG.IMAGE.VARIANT_WIDTHS
+        .filter(width => Validation.validatePositiveNumber(width))
+        .sort((a, b) => a - b)
+        .map(width => ({
+            width,
+            path: `${CONFIG.IMAGE.FOLDER}${format}/${width}/${filename}`
+        }));
+}
+
+/**
+ * Pick the smallest variant that covers the rendered page width at the device pixel ratio
+ * Mirrors how the browser resolves srcset/sizes so the fetched file matches the srcset choice
+ * @param {Array<Object>} variants - Variants sorted by ascending width
+ * @returns {Object|null} Selected variant or null when there are none
+ */
+function selectImageVariant(variants) {
+    if (variants.length === 0) {
+        return null;
+    }
+    
+    const container = document.getElementById('portfolio-container');
+    const renderedWidth = container && container.clientWidth > 0 ? container.clientWidth : window.innerWidth;
+    
+    // The lite network profile doesn't pay for high-DPI sharpness
+    let pixelRatio = window.devicePixelRatio || 1;
+    if (typeof isLiteNetworkProfile === 'function' && isLiteNetworkProfile()) {
+        pixelRatio = Math.min(pixelRatio, CONFIG.NETWORK.LITE_MAX_PIXEL_RATIO);
+    }
+    const targetWidth = renderedWidth * pixelRatio;
+    
+    return variants.find(variant => variant.width >= targetWidth) || variants[variants.length - 1];
+}
+
+/**
+ * Wait before retrying a transient failure
+ * @param {number} delayMs - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional signal that cancels the wait (rejects with an AbortError)
+ * @returns {Promise<void>}
+ */
+function waitBeforeRetry(delayMs, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(new DOMException('Retry cancelled', 'AbortError'));
+        };
+        const timeoutId = setTimeout(() => {
+            // The signal may outlive many retries - don't leave a listener behind for each
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, delayMs);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
 /**
  * Find an image candidate for a given page number
  * Uses fetch() to load images directly with status code checking for robust error handling
  * Tries formats in priority order (AVIF → WebP → PNG) with format consistency optimization
+ * When a manifest entry is given, only the formats it lists are tried, using its paths
+ * Transient failures (timeouts, 5xx, network errors) are retried with exponential backoff
+ * (CONFIG.IMAGE.RETRY); a 404 means the file is missing and is never retried.
+ * Nothing is retried while the browser is offline - the backoff can't outlast a lost connection.
+ * If a page only failed transiently, a candidate flagged `failed` is returned so the
+ * renderer can show an error with a Retry button instead of treating the page as missing.
  * @param {number} pageNumber - Page number to find
+ * @param {Object} manifestEntry - Optional manifest entry for this page
+ * @param {AbortSignal} signal - Optional signal to cancel the fetch (rejects with an AbortError)
  * @returns {Promise<Object|null>} Image data with imageElement or null
  */
-async function findImageCandidate(pageNumber) {
+async function findImageCandidate(pageNumber, manifestEntry = null, signal = null) {
     // Validate format priority configuration
     if (!CONFIG.IMAGE.FORMAT_PRIORITY || !Array.isArray(CONFIG.IMAGE.FORMAT_PRIORITY) || CONFIG.IMAGE.FORMAT_PRIORITY.length === 0) {
         ErrorHandler.error('CONFIG.IMAGE.FORMAT_PRIORITY is not configured or is empty');
@@ -25,24 +384,52 @@ async function findImageCandidate(pageNumber) {
     const paddedTwo = String(pageNumber).padStart(CONFIG.IMAGE.FILENAME_PADDING, '0');
     const baseFilename = `${CONFIG.IMAGE.FILENAME_PATTERN}${paddedTwo}`;
     const attemptedFormats = [];
+    const transientFailures = [];
+    let transientError = null;
     
     // Helper function to try a specific format
     const tryFormat = async (format) => {
-        const filename = `${baseFilename}.${format}`;
-        const imagePath = `${CONFIG.IMAGE.FOLDER}${format}/${filename}`;
+        const manifestFile = manifestEntry ? manifestEntry.files[format] : null;
+        const filename = manifestFile ? manifestFile.path.split('/').pop() : `${baseFilename}.${format}`;
+        const imagePath = manifestFile
+            ? `${CONFIG.IMAGE.FOLDER}${manifestFile.path}`
+            : `${CONFIG.IMAGE.FOLDER}${format}/${filename}`;
         attemptedFormats.push(format);
         
+        // Fetch the width variant that suits this viewport instead of the full-resolution file
+        const variants = getImageVariants(format, filename, manifestFile);
+        const selectedVariant = selectImageVariant(variants);
+        let requestPath = selectedVariant ? selectedVariant.path : imagePath;
+        
         const abortController = new AbortController();
         const timeoutId = setTimeout(() => abortController.abort(), CONFIG.IMAGE.TIMEOUT_MS);
+        const cancel = () => abortController.abort();
+        if (signal) {
+            signal.addEventListener('abort', cancel);
+            if (signal.aborted) cancel();
+        }
         
         let blobUrl = null;
         let img = null;
         
         try {
-            const response = await fetch(imagePath, {
+            let response = await fetch(requestPath, {
                 signal: abortController.signal,
                 cache: 'default'
             });
+            
+            if (response.status === 404 && requestPath !== imagePath) {
+                // Variant folder missing - stop asking for variants of this format and use the full file
+                if (!manifestFile) {
+                    formatsWithoutVariants.add(format);
+                }
+                ErrorHandler.warn(`Width variant ${requestPath} not found, loading full-resolution ${imagePath}`);
+                requestPath = imagePath;
+                response = await fetch(requestPath, {
+                    signal: abortController.signal,
+                    cache: 'default'
+                });
+            }
             clearTimeout(timeoutId);
             
             if (response.status === 404) {
@@ -51,15 +438,15 @@ async function findImageCandidate(pageNumber) {
             }
             
             if (response.status >= 500) {
-                // Transient server error - try next format
-                ErrorHandler.warn(`Server error loading ${imagePath} (${response.status}), trying next format`);
+                // Transient server error - retried by tryFormatWithRetry
+                transientError = `Server error loading ${requestPath} (${response.status})`;
                 return null;
             }
             
             if (response.status === 200) {
                 // File exists - try to decode
                 const blob = await response.blob();
-                blobUrl = URL.createObjectURL(blob);
+                blobUrl = ResourceRegistry.createObjectURL(blob, { pageNumber, format });
                 
                 img = new Image();
                 img.className = 'portfolio-image';
@@ -78,34 +465,58 @@ async function findImageCandidate(pageNumber) {
                     img.src = blobUrl;
                 });
                 
-                // Success - return image data (don't revoke blobUrl, img.src needs it)
+                // Decoding can't be aborted - drop the result if the fetch was cancelled meanwhile
+                if (signal && signal.aborted) {
+                    throw new DOMException(`Fetch for page ${pageNumber} cancelled`, 'AbortError');
+                }
+                
+                // Success - keep blobUrl until the image is displayed (hydratePortfolioPage releases it)
+                ResourceRegistry.markDecoded(blobUrl, img);
+                const usedVariants = requestPath !== imagePath;
+                
+                // Lite profile: leave larger variants out of srcset so the browser can't fetch them on its own
+                const srcsetVariants = typeof isLiteNetworkProfile === 'function' && isLiteNetworkProfile()
+                    ? variants.filter(variant => variant.width <= selectedVariant.width)
+                    : variants;
                 return {
-                    path: imagePath,
+                    path: requestPath,
                     name: filename,
                     imageElement: img,
-                    format: format
+                    format: format,
+                    fullResolutionPath: imagePath,
+                    srcset: usedVariants ? srcsetVariants.map(variant => `${variant.path} ${variant.width}w`).join(', ') : null,
+                    sizes: usedVariants ? CONFIG.IMAGE.SIZES : null,
+                    width: manifestEntry && manifestEntry.width ? manifestEntry.width : img.naturalWidth,
+                    height: manifestEntry && manifestEntry.height ? manifestEntry.height : img.naturalHeight,
+                    bytes: manifestFile ? manifestFile.bytes : blob.size
                 };
             }
             
             // Other HTTP errors (403, 401, etc.) - try next format
-            ErrorHandler.warn(`Error loading ${imagePath} (${response.status}), trying next format`);
+            ErrorHandler.warn(`Error loading ${requestPath} (${response.status}), trying next format`);
             return null;
             
         } catch (error) {
             clearTimeout(timeoutId);
             
             // Clean up on failure
-            if (blobUrl) URL.revokeObjectURL(blobUrl);
+            if (blobUrl) ResourceRegistry.revoke(blobUrl);
             if (img) {
                 img.onload = null;
                 img.onerror = null;
                 img.src = '';
             }
             
+            if (signal && signal.aborted) {
+                // Cancelled by the scheduler - don't fall back to other formats
+                throw error;
+            }
+            
             if (error.name === 'AbortError') {
-                ErrorHandler.warn(`Timeout loading ${format} format (${CONFIG.IMAGE.TIMEOUT_MS}ms), trying fallback`);
-            } else if (error.name === 'TypeError' && error.message.includes('Failed to fetch')) {
-                ErrorHandler.warn(`Network error loading ${format} format: ${error.message}, trying fallback`);
+                transientError = `Timeout loading ${requestPath} (${CONFIG.IMAGE.TIMEOUT_MS}ms)`;
+            } else if (error.name === 'TypeError') {
+                // fetch() rejects with a TypeError on network failures ("Failed to fetch", "Load failed", ...)
+                transientError = `Network error loading ${requestPath}: ${error.message}`;
             } else if (error.message.includes('does not support')) {
                 // Format decode failure - expected, try next format
                 if (CONFIG.DEBUG.ENABLED) {
@@ -116,36 +527,256 @@ async function findImageCandidate(pageNumber) {
             }
             
             return null;
+        } finally {
+            if (signal) {
+                signal.removeEventListener('abort', cancel);
+            }
         }
     };
     
-    // Try preferred format first (if we know one that works)
-    if (preferredFormat) {
-        const result = await tryFormat(preferredFormat);
+    // Retry a format while it keeps failing transiently, backing off exponentially
+    const tryFormatWithRetry = async (format) => {
+        const retry = CONFIG.IMAGE.RETRY;
+        
+        for (let attempt = 0; ; attempt++) {
+            transientError = null;
+            const result = await tryFormat(format);
+            if (result || !transientError) {
+                return result;
+            }
+            
+            if (navigator.onLine === false) {
+                ErrorHandler.warn(`${transientError} - offline, not retrying`);
+                transientFailures.push(transientError);
+                return null;
+            }
+            
+            if (attempt >= retry.MAX_RETRIES) {
+                ErrorHandler.warn(`${transientError} - giving up after ${attempt + 1} attempts, trying fallback`);
+                transientFailures.push(transientError);
+                return null;
+            }
+            
+            const delay = Math.min(retry.BASE_DELAY_MS * Math.pow(2, attempt), retry.MAX_DELAY_MS);
+            ErrorHandler.warn(`${transientError} - retrying in ${delay}ms (attempt ${attempt + 2} of ${retry.MAX_RETRIES + 1})`);
+            await waitBeforeRetry(delay, signal);
+        }
+    };
+    
+    // Manifest entries only list the formats that actually exist for this page
+    const availableFormats = manifestEntry
+        ? CONFIG.IMAGE.FORMAT_PRIORITY.filter(format => manifestEntry.files[format])
+        : CONFIG.IMAGE.FORMAT_PRIORITY;
+    
+    // A format known for this page beats the shared preference, so mixed-format folders cost no extra requests
+    const pageFormat = getKnownPageFormat(pageNumber, manifestEntry);
+    let firstFormat = null;
+    if (pageFormat && isImageFormatSupported(pageFormat) && (!manifestEntry || manifestEntry.files[pageFormat])) {
+        firstFormat = pageFormat;
+    } else if (preferredFormat && availableFormats.includes(preferredFormat)) {
+        firstFormat = preferredFormat;
+    }
+    
+    // Try the page's own (or the preferred) format first
+    if (firstFormat) {
+        const result = await tryFormatWithRetry(firstFormat);
         if (result) {
-            return result; // Preferred format worked!
+            if (!manifestEntry) {
+                rememberPageFormat(pageNumber, firstFormat);
+            }
+            return result;
         }
-        // Preferred format failed - might be end of portfolio or format inconsistency
+        // First format failed - might be end of portfolio or format inconsistency
         // Fall through to try all formats to be safe
     }
     
-    // Try each format in priority order (skip preferred if already tried)
-    for (const format of CONFIG.IMAGE.FORMAT_PRIORITY) {
-        if (format === preferredFormat) continue; // Already tried
+    // Try each format in priority order (skip the first format if already tried)
+    for (const format of availableFormats) {
+        if (format === firstFormat) continue; // Already tried
         
-        const result = await tryFormat(format);
+        const result = await tryFormatWithRetry(format);
         if (result) {
-            // Success! Remember this format for future pages
-            preferredFormat = format;
+            // Success! Remember this format for future pages - but a page that only exists in a
+            // lower-priority format (e.g. one PNG in an AVIF portfolio) must not downgrade the rest
+            const priority = CONFIG.IMAGE.FORMAT_PRIORITY;
+            if (!preferredFormat || priority.indexOf(format) < priority.indexOf(preferredFormat)) {
+                preferredFormat = format;
+            }
+            if (!manifestEntry) {
+                rememberPageFormat(pageNumber, format);
+            }
             return result;
         }
     }
     
-    // All formats failed
-    ErrorHandler.log(`Page ${pageNumber} not found in any format (${attemptedFormats.join(', ')}) - end of portfolio`);
+    // All formats failed - if any only failed transiently, the page exists but couldn't be loaded
+    if (transientFailures.length > 0) {
+        ErrorHandler.warn(`Page ${pageNumber} failed to load after retries`);
+        return {
+            failed: true,
+            error: transientFailures[transientFailures.length - 1],
+            path: null,
+            name: baseFilename,
+            format: null,
+            width: manifestEntry ? manifestEntry.width : null,
+            height: manifestEntry ? manifestEntry.height : null
+        };
+    }
+    
+    if (manifestEntry) {
+        ErrorHandler.warn(`Page ${pageNumber} is listed in the manifest but failed to load (${attemptedFormats.join(', ')})`);
+    } else {
+        ErrorHandler.log(`Page ${pageNumber} not found in any format (${attemptedFormats.join(', ')}) - end of portfolio`);
+    }
     return null;
 }
 
+/**
+ * Convert an image candidate into the loader result shape used by the renderer
+ * @param {Object} candidate - Candidate returned by findImageCandidate()
+ * @param {number} pageNumber - Page number
+ * @returns {Object} Loader result
+ */
+function createLoaderResult(candidate, pageNumber) {
+    const result = {
+        path: candidate.path,
+        pageNumber: pageNumber,
+        name: candidate.name,
+        format: candidate.format,
+        fullResolutionPath: candidate.fullResolutionPath,
+        srcset: candidate.srcset,
+        sizes: candidate.sizes,
+        width: candidate.width,
+        height: candidate.height,
+        bytes: candidate.bytes
+    };
+    // Page exists but every attempt failed transiently - rendered as an error with a Retry button
+    if (candidate.failed) {
+        result.failed = true;
+        result.error = candidate.error;
+    }
+    // Include image element if available (loaded via fetch)
+    if (candidate.imageElement) {
+        result.imageElement = candidate.imageElement;
+    }
+    return result;
+}
+
+/**
+ * Fetch a page through the shared fetch scheduler
+ * Repeated requests for the same page share one fetch; a higher priority moves it up the queue
+ * @param {number} pageNumber - Page number
+ * @param {number} priority - FETCH_PRIORITY value
+ * @returns {Promise<Object|null>} Image candidate, or null if the page doesn't exist
+ */
+function requestPageFetch(pageNumber, priority = FETCH_PRIORITY.LOW) {
+    const manifestEntry = appState.getPageManifestEntry(pageNumber);
+    if (appState.getPageManifest() && !manifestEntry) {
+        return Promise.resolve(null);
+    }
+    
+    return appState.getFetchScheduler().request(
+        pageNumber,
+        signal => findImageCandidate(pageNumber, manifestEntry, signal),
+        priority
+    );
+}
+
+/**
+ * Queue low-priority fetches for upcoming pages so every scheduler slot stays busy
+ * @param {Array<number>} pageNumbers - Upcoming page numbers
+ */
+function prefetchPages(pageNumbers) {
+    pageNumbers
+        .filter(pageNumber => !appState.getLoadedImage(pageNumber))
+        .forEach(pageNumber => {
+            requestPageFetch(pageNumber).catch(() => {
+                // Cancelled - the loader requests the page again when it gets there
+            });
+        });
+}
+
+/**
+ * List the page numbers that follow a page, up to one per scheduler slot
+ * @param {number} pageNumber - Current page number
+ * @param {number} count - Number of pages to list
+ * @returns {Array<number>} Following page numbers
+ */
+function getFollowingPageNumbers(pageNumber, count) {
+    const manifest = appState.getPageManifest();
+    if (manifest) {
+        return manifest.pages
+            .map(entry => entry.pageNumber)
+            .filter(entryPage => entryPage > pageNumber)
+            .slice(0, count);
+    }
+    
+    const following = [];
+    for (let next = pageNumber + 1; next <= CONFIG.IMAGE.MAX_PAGES && following.length < count; next++) {
+        following.push(next);
+    }
+    return following;
+}
+
+/**
+ * Check whether a page may load yet
+ * The lite network profile only loads CONFIG.NETWORK.LITE_EAGER_PAGES pages past the furthest page viewed
+ * @param {number} pageNumber - Page number
+ * @returns {boolean} True if the page may load now
+ */
+function isWithinLoadingWindow(pageNumber) {
+    if (typeof isLiteNetworkProfile !== 'function' || !isLiteNetworkProfile()) {
+        return true;
+    }
+    
+    // Without the priority observer nothing tracks scrolling, so nothing could widen the window
+    if (!appState.getFetchPriorityObserver()) {
+        return true;
+    }
+    
+    const ahead = getFollowingPageNumbers(furthestViewedPage, CONFIG.NETWORK.LITE_EAGER_PAGES);
+    return ahead.length === 0 || pageNumber <= ahead[ahead.length - 1];
+}
+
+/**
+ * Wait until a page may load (immediately outside the lite network profile)
+ * @param {number} pageNumber - Page number
+ * @returns {Promise<void>}
+ */
+function waitForLoadingWindow(pageNumber) {
+    if (isWithinLoadingWindow(pageNumber)) {
+        return Promise.resolve();
+    }
+    
+    ErrorHandler.log(`Lite profile: holding page ${pageNumber} until the reader scrolls closer`);
+    return new Promise(resolve => loadingWindowWaiters.push({ pageNumber, resolve }));
+}
+
+/**
+ * Release loaders waiting on pages that may now load
+ * Called as the reader scrolls and when the network profile switches to full quality
+ */
+function resumeBackgroundLoading() {
+    loadingWindowWaiters = loadingWindowWaiters.filter(waiter => {
+        if (!isWithinLoadingWindow(waiter.pageNumber)) {
+            return true;
+        }
+        waiter.resolve();
+        return false;
+    });
+}
+
+/**
+ * Record that a page came near the viewport, moving the lite profile's loading window along
+ * @param {number} pageNumber - Page number
+ */
+function notePageViewed(pageNumber) {
+    if (pageNumber > furthestViewedPage) {
+        furthestViewedPage = pageNumber;
+        resumeBackgroundLoading();
+    }
+}
+
 /**
  * Create an auto-loader for discovering images
  * @returns {Object} Loader context with next() and finalize() methods
@@ -167,31 +798,41 @@ function createAutoLoader() {
             while (nextPage <= CONFIG.IMAGE.MAX_PAGES) {
                 const pageToCheck = nextPage;
                 nextPage++;
-                const candidate = await findImageCandidate(pageToCheck);
                 
-                if (candidate) {
-                    foundAny = true;
-                    consecutiveFailures = 0;
-                    loadedCount++;
-                    // Debug logging handled by DebugTracker
-                    const result = {
-                        path: candidate.path,
-                        pageNumber: pageToCheck,
-                        name: candidate.name,
-                        format: candidate.format
-                    };
-                    // Include image element if available (loaded via fetch)
-                    if (candidate.imageElement) {
-                        result.imageElement = candidate.imageElement;
+                // Lite network profile: don't load far ahead of the reader
+                await waitForLoadingWindow(pageToCheck);
+                
+                if (!appState.getLoadedImage(pageToCheck)) {
+                    // Probe the following pages in parallel while waiting for this one
+                    const fetchPromise = requestPageFetch(pageToCheck);
+                    prefetchPages(getFollowingPageNumbers(pageToCheck, CONFIG.IMAGE.CONCURRENCY - 1).filter(isWithinLoadingWindow));
+                    
+                    const candidate = await fetchPromise;
+                    appState.getFetchScheduler().release(pageToCheck);
+                    
+                    if (candidate && !appState.getLoadedImage(pageToCheck)) {
+                        foundAny = true;
+                        consecutiveFailures = 0;
+                        loadedCount++;
+                        // Debug logging handled by DebugTracker
+                        return createLoaderResult(candidate, pageToCheck);
+                    }
+                    
+                    if (!candidate) {
+                        consecutiveFailures++;
+                        if (foundAny && consecutiveFailures >= CONFIG.IMAGE.MAX_CONSECUTIVE_FAILURES) {
+                            // End of portfolio - cancel the speculative probes past it
+                            appState.getFetchScheduler().cancelWhere(pageNumber => pageNumber > pageToCheck);
+                            break;
+                        }
+                        continue;
                     }
-                    return result;
                 }
                 
-                consecutiveFailures++;
-                if (foundAny && consecutiveFailures >= CONFIG.IMAGE.MAX_CONSECUTIVE_FAILURES) {
-                    // Debug logging handled by DebugTracker
-                    break;
-                }
+                // Already rendered out of order (navigation target or near the viewport)
+                foundAny = true;
+                consecutiveFailures = 0;
+                loadedCount++;
             }
             
             // Debug logging handled by DebugTracker
@@ -207,6 +848,167 @@ function createAutoLoader() {
     };
 }
 
+/**
+ * Create a loader that walks the page manifest instead of probing
+ * Pages missing from the manifest are never requested, so gaps in numbering cost nothing
+ * @param {Object} manifest - Normalized manifest from loadPageManifest()
+ * @returns {Object} Loader context with next() and finalize() methods
+ */
+function createManifestLoader(manifest) {
+    let nextIndex = 0;
+    let loadedCount = 0;
+    
+    return {
+        mode: 'manifest',
+        async next() {
+            // Debug tracking
+            if (typeof DebugTracker !== 'undefined') {
+                DebugTracker.trackInit('loaderContextNext');
+            }
+            
+            while (nextIndex < manifest.pages.length) {
+                const entry = manifest.pages[nextIndex];
+                nextIndex++;
+                
+                // Lite network profile: don't load far ahead of the reader
+                await waitForLoadingWindow(entry.pageNumber);
+                
+                if (appState.getLoadedImage(entry.pageNumber)) {
+                    // Already rendered out of order (navigation target or near the viewport)
+                    loadedCount++;
+                    continue;
+                }
+                
+                const fetchPromise = requestPageFetch(entry.pageNumber);
+                prefetchPages(getFollowingPageNumbers(entry.pageNumber, CONFIG.IMAGE.CONCURRENCY - 1).filter(isWithinLoadingWindow));
+                
+                const candidate = await fetchPromise;
+                appState.getFetchScheduler().release(entry.pageNumber);
+                
+                if (candidate) {
+                    loadedCount++;
+                    if (!appState.getLoadedImage(entry.pageNumber)) {
+                        return createLoaderResult(candidate, entry.pageNumber);
+                    }
+                } else if (typeof removePagePlaceholder === 'function') {
+                    removePagePlaceholder(entry.pageNumber);
+                }
+            }
+            
+            return null;
+        },
+        finalize() {
+            if (loadedCount > 0) {
+                ErrorHandler.log(`Loaded ${loadedCount} of ${manifest.pages.length} manifest pages`);
+            } else {
+                ErrorHandler.warn('None of the pages listed in the manifest could be loaded.');
+            }
+        }
+    };
+}
+
+/**
+ * Fetch and render a page ahead of the background loading order
+ * Used for navigation targets and pages just below the viewport; the renderer inserts it in page order
+ * @param {number} pageNumber - Page number
+ * @param {number} priority - FETCH_PRIORITY value
+ * @returns {Promise<void>}
+ */
+async function loadPageOutOfOrder(pageNumber, priority) {
+    const context = appState.getPageLoadContext();
+    if (!context || appState.getAllPagesLoaded() || appState.getLoadedImage(pageNumber)) {
+        return;
+    }
+    
+    const scheduler = appState.getFetchScheduler();
+    let candidate;
+    try {
+        candidate = await requestPageFetch(pageNumber, priority);
+    } catch (error) {
+        return; // Cancelled
+    } finally {
+        // Hand the finished task back on every path, used or not
+        scheduler.release(pageNumber);
+    }
+    
+    // The reader switched collections while we waited - nothing will display the image
+    if (context.cancelled) {
+        if (candidate && candidate.imageElement) {
+            ResourceRegistry.revoke(candidate.imageElement.src);
+        }
+        return;
+    }
+    
+    // The background loader may have claimed the page while we waited
+    if (!candidate || appState.getLoadedImage(pageNumber)) {
+        return;
+    }
+    
+    const imageData = createLoaderResult(candidate, pageNumber);
+    appState.addLoadedImage(imageData);
+    
+    const render = context.renderPage(imageData, appState.getLoadedImages().length - 1, context.container);
+    context.pendingRenders.add(render);
+    try {
+        await render;
+    } finally {
+        context.pendingRenders.delete(render);
+    }
+}
+
+/**
+ * Move a page to the front of the fetch queue and render it as soon as it arrives
+ * Lets deep links like #page-40 skip waiting for pages 2-39
+ * @param {number} pageNumber - Page number
+ * @returns {Promise<void>}
+ */
+function prioritizePageLoad(pageNumber) {
+    return loadPageOutOfOrder(pageNumber, FETCH_PRIORITY.HIGH).catch(error => {
+        ErrorHandler.warn(`Error loading page ${pageNumber} ahead of order`, error);
+    });
+}
+
+/**
+ * Create the observer that bumps the pages following any page near the viewport
+ * @returns {IntersectionObserver|null} Observer, or null when IntersectionObserver is unsupported
+ */
+function createFetchPriorityObserver() {
+    if (!('IntersectionObserver' in window)) {
+        return null;
+    }
+    
+    return new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            
+            const pageNumber = parseInt(entry.target.getAttribute('data-page'), 10);
+            const following = getFollowingPageNumbers(pageNumber, CONFIG.IMAGE.CONCURRENCY);
+            notePageViewed(pageNumber);
+            
+            // A preview placeholder near the viewport needs its own image first
+            const pagesToLoad = entry.target.hasAttribute('data-placeholder') ? [pageNumber, ...following] : following;
+            pagesToLoad.forEach(nextPage => {
+                loadPageOutOfOrder(nextPage, FETCH_PRIORITY.NORMAL).catch(error => {
+                    ErrorHandler.warn(`Error loading page ${nextPage} ahead of order`, error);
+                });
+            });
+        });
+    }, {
+        rootMargin: '0px 0px 100% 0px'
+    });
+}
+
+/**
+ * Watch a rendered page so the pages after it are fetched first when it nears the viewport
+ * @param {HTMLElement} pageDiv - Page element
+ */
+function observePageForFetchPriority(pageDiv) {
+    const observer = appState.getFetchPriorityObserver();
+    if (observer) {
+        observer.observe(pageDiv);
+    }
+}
+
 /**
  * Load an image element
  * Reuses image element from fetch() if available to avoid duplicate network requests
@@ -226,6 +1028,32 @@ function loadImageSequential(src, pageNumber, index, imageElement = null) {
     return DOM.loadImage(src, 'portfolio-image');
 }
 
+/**
+ * Swap a page's image to its full-resolution file
+ * Pages load a viewport-sized variant; the full file is only worth fetching once the user zooms in
+ * @param {HTMLElement} pageDiv - Page element
+ */
+function upgradePageToFullResolution(pageDiv) {
+    const img = pageDiv.querySelector('img.portfolio-image');
+    if (!img || !img.dataset.fullSrc || img.dataset.fullResolution === 'true') {
+        return;
+    }
+    
+    const fullSrc = img.dataset.fullSrc;
+    img.dataset.fullResolution = 'true';
+    
+    // Decode off-screen first so the zoomed page never flashes blank during the swap
+    DOM.loadImage(fullSrc, 'portfolio-image').then(() => {
+        img.removeAttribute('srcset');
+        img.removeAttribute('sizes');
+        img.src = fullSrc;
+        ErrorHandler.log(`Upgraded page ${pageDiv.getAttribute('data-page')} to full resolution`);
+    }).catch(error => {
+        img.dataset.fullResolution = 'false';
+        ErrorHandler.warn(`Failed to load full-resolution image ${fullSrc}`, error);
+    });
+}
+
 /**
  * Background load remaining pages after first page is shown
  * @param {Object} loaderContext - Loader context
@@ -241,10 +1069,24 @@ async function backgroundLoadRemainingPages(loaderContext, container, startIndex
     }
     
     ErrorHandler.log(`Starting background loading of remaining pages from index ${startIndex}`);
+    const loadContext = appState.getPageLoadContext();
     let renderIndex = startIndex;
     let imageData;
     
     while ((imageData = await loaderContext.next())) {
+        // The reader switched collections - this loader's pages are no longer wanted
+        if (loadContext.cancelled) {
+            if (imageData.imageElement) {
+                ResourceRegistry.revoke(imageData.imageElement.src);
+            }
+            return;
+        }
+        
+        // Skip pages rendered out of order while next() was resolving
+        if (appState.getLoadedImage(imageData.pageNumber)) {
+            continue;
+        }
+        
         // Background loading progress (only log if debug enabled)
         if (CONFIG.DEBUG.ENABLED) {
             ErrorHandler.log(`Background loading page ${imageData.pageNumber} (index ${renderIndex})`);
@@ -254,10 +1096,28 @@ async function backgroundLoadRemainingPages(loaderContext, container, startIndex
         renderIndex++;
     }
     
+    // Let pages rendered out of order finish before declaring loading complete
+    await Promise.allSettled(Array.from(loadContext.pendingRenders));
+    if (loadContext.cancelled) {
+        return;
+    }
+    
     if (typeof loaderContext.finalize === 'function') {
         loaderContext.finalize();
     }
     
+    // Drop any speculative fetches still queued and stop bumping priorities
+    appState.getFetchScheduler().cancelWhere(() => true);
+    if (appState.getFetchPriorityObserver()) {
+        appState.getFetchPriorityObserver().disconnect();
+        appState.setFetchPriorityObserver(null);
+    }
+    
+    // Placeholders for pages that turned out to be missing
+    container.querySelectorAll(`${CONFIG.SELECTORS.PORTFOLIO_PAGE}[data-placeholder]`).forEach(placeholder => {
+        placeholder.remove();
+    });
+    
     appState.setAllPagesLoaded(true);
     
     // Resolve any pending page ready promises
@@ -265,6 +1125,11 @@ async function backgroundLoadRemainingPages(loaderContext, container, startIndex
         resolvers.forEach(resolve => resolve(null));
     });
     appState.getPageReadyResolvers().clear();
+    
+    // Every page is known now - hand the list to the service worker for offline viewing
+    if (typeof cachePagesForOffline === 'function') {
+        cachePagesForOffline();
+    }
 }
 
 /**
@@ -283,8 +1148,46 @@ async function initializePortfolioPages(container, renderPage, showLoader, hideL
     
     container.innerHTML = '';
     appState.clearHotspotElements();
+    const collectionId = appState.getCollectionId();
+    
+    // Discoveries about the previous collection's folder don't apply to this one
+    preferredFormat = null;
+    formatsWithoutVariants.clear();
+    rememberedPageFormats = null;
+    
+    // Prefer the manifest when one exists - it avoids probe requests for missing pages
+    // Meanwhile, drop formats this browser can't decode so their bytes are never downloaded
+    const [manifest] = await Promise.all([loadPageManifest(), detectImageFormatSupport()]);
+    if (appState.getCollectionId() !== collectionId) {
+        return; // The reader switched collections meanwhile
+    }
+    appState.setPageManifest(manifest);
+    appState.setLoadedImages([]);
+    furthestViewedPage = 0;
+    loadingWindowWaiters = [];
+    
+    // Pages are fetched CONFIG.IMAGE.CONCURRENCY at a time; navigation can jump the queue
+    appState.setFetchScheduler(createFetchScheduler(CONFIG.IMAGE.CONCURRENCY));
+    appState.setFetchPriorityObserver(createFetchPriorityObserver());
+    const loadContext = {
+        container,
+        renderPage,
+        pendingRenders: new Set(),
+        cancelled: false
+    };
+    appState.setPageLoadContext(loadContext);
     
-    const loaderContext = createAutoLoader();
+    // Show blurred previews at their final size straight away when the manifest or sidecar has them
+    const previews = await loadPagePreviews(manifest);
+    if (loadContext.cancelled) {
+        return;
+    }
+    appState.setPagePreviews(previews);
+    if (typeof renderPagePlaceholders === 'function') {
+        renderPagePlaceholders(container);
+    }
+    
+    const loaderContext = manifest ? createManifestLoader(manifest) : createAutoLoader();
     if (!loaderContext) {
         hideLoader('No portfolio pages found');
         container.innerHTML = `
@@ -297,8 +1200,18 @@ async function initializePortfolioPages(container, renderPage, showLoader, hideL
         return;
     }
     
-    const firstImage = await loaderContext.next();
-    if (!firstImage) {
+    let firstImage;
+    try {
+        firstImage = await loaderContext.next();
+    } catch (error) {
+        if (loadContext.cancelled) return;
+        throw error;
+    }
+    if (loadContext.cancelled) {
+        return;
+    }
+    
+    if (!firstImage && appState.getLoadedImages().length === 0) {
         hideLoader('No portfolio pages found');
         container.innerHTML = `
             <div class="page-fallback">
@@ -310,28 +1223,54 @@ async function initializePortfolioPages(container, renderPage, showLoader, hideL
         return;
     }
     
-    appState.setLoadedImages([firstImage]);
-    
-    // Debug: Log first page load timing
-    const firstPageStartTime = performance.now();
-    if (CONFIG.DEBUG.ENABLED) {
-        ErrorHandler.log(`First page rendering started at ${firstPageStartTime.toFixed(2)}ms`);
+    // Preview placeholders near the viewport may have rendered the first pages out of order already
+    if (firstImage) {
+        appState.addLoadedImage(firstImage);
+        
+        // Debug: Log first page load timing
+        const firstPageStartTime = performance.now();
+        if (CONFIG.DEBUG.ENABLED) {
+            ErrorHandler.log(`First page rendering started at ${firstPageStartTime.toFixed(2)}ms`);
+        }
+        
+        await renderPage(firstImage, appState.getLoadedImages().length - 1, container);
+        
+        const firstPageEndTime = performance.now();
+        const firstPageLoadTime = firstPageEndTime - firstPageStartTime;
+        if (CONFIG.DEBUG.ENABLED) {
+            ErrorHandler.log(`First page rendered in ${firstPageLoadTime.toFixed(2)}ms (completed at ${firstPageEndTime.toFixed(2)}ms)`);
+        }
     }
     
-    await renderPage(firstImage, 0, container);
-    
-    const firstPageEndTime = performance.now();
-    const firstPageLoadTime = firstPageEndTime - firstPageStartTime;
-    if (CONFIG.DEBUG.ENABLED) {
-        ErrorHandler.log(`First page rendered in ${firstPageLoadTime.toFixed(2)}ms (completed at ${firstPageEndTime.toFixed(2)}ms)`);
-    }
     ErrorHandler.log(`Hiding global spinner, starting background page loading`);
     
     hideLoader();
     
     // Continue loading remaining images in the background
-    backgroundLoadRemainingPages(loaderContext, container, 1, renderPage).catch(error => {
-        ErrorHandler.error('Error loading remaining portfolio pages', error);
+    backgroundLoadRemainingPages(loaderContext, container, appState.getLoadedImages().length, renderPage).catch(error => {
+        // Cancelled fetches reject once the reader switches collections
+        if (!loadContext.cancelled) {
+            ErrorHandler.error('Error loading remaining portfolio pages', error);
+        }
     });
 }
 
+/**
+ * Stop loading the current portfolio (before switching collections)
+ * Cancels queued and running fetches and lets waiting loaders exit without rendering anything
+ */
+function cancelPortfolioLoading() {
+    const loadContext = appState.getPageLoadContext();
+    if (loadContext) {
+        loadContext.cancelled = true;
+    }
+    
+    if (appState.getFetchScheduler()) {
+        appState.getFetchScheduler().cancelWhere(() => true);
+    }
+    
+    // Loaders held back by the lite profile resume, see the cancellation and exit
+    loadingWindowWaiters.forEach(waiter => waiter.resolve());
+    loadingWindowWaiters = [];
+}
+
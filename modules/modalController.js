@@ -1,19 +1,112 @@
 /**
  * Modal Controller Module
- * Handles YouTube modal functionality with focus management and accessibility
+ * Handles the media modal (YouTube, Vimeo, video, audio, image lightbox) with focus management
+ * and accessibility, and what each hotspot type does when activated
  */
 
+/**
+ * Build the YouTube embed URL for a video and its playback options
+ * CONFIG.YOUTUBE.EMBED_PARAMS are the defaults; per-hotspot options are added on top
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} playback - { start, end, mute, loop, captions } (see resolveYouTubePlayback)
+ * @returns {string} Embed URL
+ */
+function buildYouTubeEmbedUrl(videoId, playback = {}) {
+    const params = new URLSearchParams(CONFIG.YOUTUBE.EMBED_PARAMS);
+    
+    if (playback.start) params.set('start', playback.start);
+    if (playback.end) params.set('end', playback.end);
+    if (playback.mute) params.set('mute', '1');
+    if (playback.loop) {
+        // The embedded player only loops playlists - a playlist of this one video
+        params.set('loop', '1');
+        params.set('playlist', videoId);
+    }
+    if (playback.captions) {
+        params.set('cc_load_policy', '1');
+        params.set('cc_lang_pref', playback.captions);
+    }
+    
+    return `${CONFIG.YOUTUBE.EMBED_BASE_URL}${videoId}?${params.toString()}`;
+}
+
+/**
+ * Build the embed URL for a YouTube playlist
+ * @param {string} listId - YouTube playlist ID
+ * @returns {string} Embed URL
+ */
+function buildYouTubePlaylistEmbedUrl(listId) {
+    const params = new URLSearchParams(CONFIG.YOUTUBE.EMBED_PARAMS);
+    params.set('list', listId);
+    return `${CONFIG.YOUTUBE.EMBED_BASE_URL}videoseries?${params.toString()}`;
+}
+
+/**
+ * Get the page on the provider's own site for an embed URL
+ * @param {string} embedUrl - YouTube or Vimeo player URL
+ * @returns {string} youtube.com or vimeo.com address
+ */
+function getEmbedWatchUrl(embedUrl) {
+    if (embedUrl.startsWith(CONFIG.VIMEO.EMBED_BASE_URL)) {
+        return `https://vimeo.com/${new URL(embedUrl).pathname.split('/').pop()}`;
+    }
+    return getYouTubeWatchUrl(embedUrl, null);
+}
+
 /**
  * Create modal handlers for opening and closing
+ * YouTube and Vimeo play in the iframe; video, audio and images go in the media container
  * @param {HTMLElement} modal - Modal element
  * @param {HTMLElement} youtubePlayer - YouTube iframe element
  * @param {HTMLElement} modalClose - Close button element
+ * @param {Object} player - Wrapper around the iframe from createYouTubePlayer()
  * @returns {Object} Handler functions
  */
-function createModalHandlers(modal, youtubePlayer, modalClose) {
-    const openModal = (videoId) => {
-        const embedUrl = `${CONFIG.YOUTUBE.EMBED_BASE_URL}${videoId}?${CONFIG.YOUTUBE.EMBED_PARAMS}`;
-        youtubePlayer.src = embedUrl;
+function createModalHandlers(modal, youtubePlayer, modalClose, player) {
+    const modalTitle = modal.querySelector('#youtube-modal-title');
+    const videoContainer = modal.querySelector('.video-container');
+    const mediaContainer = modal.querySelector('.media-container');
+    const modalContent = modal.querySelector('.modal-content');
+    const playlistControls = modal.querySelector('.playlist-controls');
+    const videoError = modal.querySelector('.video-error');
+    const embedConsent = modal.querySelector('.embed-consent');
+    
+    // Player waiting for the reader's consent (CONFIG.PRIVACY.EMBED_CONSENT)
+    let pendingEmbedUrl = null;
+    
+    // The open playlist: { videoIds, listId, index, count }; count is 0 until YouTube reports it
+    let playlist = null;
+    
+    const updatePlaylistControls = () => {
+        if (!playlistControls) return;
+        
+        playlistControls.hidden = !playlist;
+        if (!playlist) return;
+        
+        const counter = playlistControls.querySelector('.playlist-counter');
+        const previous = playlistControls.querySelector('.playlist-previous');
+        const next = playlistControls.querySelector('.playlist-next');
+        if (counter) {
+            counter.textContent = playlist.count
+                ? `Video ${playlist.index + 1} of ${playlist.count}`
+                : `Video ${playlist.index + 1}`;
+        }
+        if (previous) previous.disabled = playlist.index === 0;
+        if (next) next.disabled = playlist.count > 0 && playlist.index >= playlist.count - 1;
+    };
+    
+    const showModal = (title, type) => {
+        if (modalTitle) {
+            modalTitle.textContent = title;
+        }
+        if (modalClose) {
+            modalClose.setAttribute('aria-label', `Close ${title.toLowerCase()}`);
+        }
+        if (modalContent) {
+            modalContent.setAttribute('data-media-type', type);
+        }
+        updatePlaylistControls();
+        
         modal.classList.add('active');
         modal.setAttribute('aria-hidden', 'false');
         appState.setLastFocusedElement(document.activeElement instanceof HTMLElement ? document.activeElement : null);
@@ -26,9 +119,146 @@ function createModalHandlers(modal, youtubePlayer, modalClose) {
         }
     };
     
+    // Shown over the player when YouTube can't play a video (removed, private, embedding disabled)
+    const showVideoError = ({ message, watchUrl }) => {
+        if (!videoError) return;
+        
+        videoError.querySelector('.video-error-message').textContent = message;
+        videoError.querySelector('.video-error-link').href = watchUrl;
+        videoError.hidden = false;
+    };
+    
+    // Third-party players wait behind the consent placeholder until the reader agrees
+    const showEmbedConsent = (embedUrl) => {
+        const provider = getEmbedProvider(embedUrl);
+        pendingEmbedUrl = embedUrl;
+        youtubePlayer.src = '';
+        
+        embedConsent.querySelector('.embed-consent-message').textContent =
+            `This video is hosted on ${provider.name}. Playing it here loads the player from ${provider.host}, ` +
+            `which may set cookies and collect usage data.`;
+        const link = embedConsent.querySelector('.embed-consent-link');
+        link.href = getEmbedWatchUrl(embedUrl);
+        link.textContent = `Watch on ${provider.name} instead`;
+        embedConsent.hidden = false;
+    };
+    
+    const loadEmbed = (embedUrl) => {
+        if (videoError) videoError.hidden = true;
+        if (embedUrl && embedConsent && !hasEmbedConsent()) {
+            showEmbedConsent(embedUrl);
+            return;
+        }
+        
+        pendingEmbedUrl = null;
+        if (embedConsent) embedConsent.hidden = true;
+        youtubePlayer.src = embedUrl;
+    };
+    
+    const acceptEmbedConsent = () => {
+        if (!pendingEmbedUrl) return;
+        
+        const remember = embedConsent.querySelector('.embed-consent-remember');
+        setEmbedConsent(true, Boolean(remember && remember.checked));
+        loadEmbed(pendingEmbedUrl);
+        youtubePlayer.focus();
+    };
+    
+    const openEmbed = (embedUrl, type) => {
+        playlist = null;
+        if (videoContainer) videoContainer.hidden = false;
+        if (mediaContainer) mediaContainer.hidden = true;
+        loadEmbed(embedUrl);
+        showModal('Video player', type);
+    };
+    
+    const openModal = (videoId, playback = {}) => {
+        openEmbed(buildYouTubeEmbedUrl(videoId, playback), 'youtube');
+    };
+    
+    const openVimeoModal = (videoId) => {
+        openEmbed(`${CONFIG.VIMEO.EMBED_BASE_URL}${videoId}?${CONFIG.VIMEO.EMBED_PARAMS}`, 'vimeo');
+    };
+    
+    const loadPlaylistVideo = () => {
+        loadEmbed(playlist.videoIds
+            ? buildYouTubeEmbedUrl(playlist.videoIds[playlist.index])
+            : buildYouTubePlaylistEmbedUrl(playlist.listId));
+        updatePlaylistControls();
+    };
+    
+    const openPlaylistModal = ({ videoIds, listId }) => {
+        if (videoContainer) videoContainer.hidden = false;
+        if (mediaContainer) mediaContainer.hidden = true;
+        playlist = { videoIds: videoIds || null, listId: listId || null, index: 0, count: videoIds ? videoIds.length : 0 };
+        loadPlaylistVideo();
+        showModal('Video playlist', 'youtube');
+    };
+    
+    const stepPlaylist = (step) => {
+        if (!playlist) return;
+        
+        const index = playlist.index + step;
+        if (index < 0 || (playlist.count > 0 && index >= playlist.count)) return;
+        
+        if (playlist.videoIds) {
+            playlist.index = index;
+            loadPlaylistVideo();
+        } else {
+            // Only YouTube knows a playlist's videos - the counter follows its progress reports
+            if (videoError) videoError.hidden = true;
+            player.command(step > 0 ? 'nextVideo' : 'previousVideo');
+        }
+    };
+    
+    player.on('progress', ({ playlistIndex, playlistLength }) => {
+        if (!playlist || !playlist.listId) return;
+        
+        if (playlistLength !== null) playlist.count = playlistLength;
+        if (playlistIndex !== null) playlist.index = playlistIndex;
+        updatePlaylistControls();
+    });
+    
+    // YouTube advances its own playlists; video ID lists move on when each video ends
+    player.on('ended', () => {
+        if (playlist && playlist.videoIds) {
+            stepPlaylist(1);
+        }
+    });
+    
+    player.on('error', showVideoError);
+    
+    const openMediaModal = (type, src, alt = 'Enlarged image') => {
+        if (!mediaContainer) {
+            ErrorHandler.warn('Media container not found in the modal');
+            return;
+        }
+        
+        let media;
+        if (type === 'image') {
+            media = DOM.createElement('img', 'modal-media', { src, alt });
+        } else {
+            media = DOM.createElement(type, 'modal-media', { src, controls: '', autoplay: '', playsinline: '' });
+        }
+        
+        playlist = null;
+        mediaContainer.replaceChildren(media);
+        mediaContainer.hidden = false;
+        if (videoContainer) videoContainer.hidden = true;
+        showModal({ video: 'Video player', audio: 'Audio player', image: 'Image' }[type], type);
+    };
+    
     const closeModal = () => {
         modal.classList.remove('active');
-        youtubePlayer.src = '';
+        loadEmbed('');
+        playlist = null;
+        updatePlaylistControls();
+        
+        // Removing the element stops playback and releases the file
+        if (mediaContainer) {
+            mediaContainer.querySelectorAll('video, audio').forEach(media => media.pause());
+            mediaContainer.replaceChildren();
+        }
         modal.setAttribute('aria-hidden', 'true');
         document.body.style.overflow = '';
         
@@ -37,17 +267,67 @@ function createModalHandlers(modal, youtubePlayer, modalClose) {
             lastFocused.focus();
         }
         appState.clearLastFocusedElement();
+        
+        if (typeof clearVideoLinkHash === 'function') {
+            clearVideoLinkHash();
+        }
     };
     
-    return { openModal, closeModal };
+    return { openModal, openVimeoModal, openPlaylistModal, openMediaModal, stepPlaylist, acceptEmbedConsent, closeModal };
+}
+
+/**
+ * Create the function that runs a hotspot's action
+ * @param {Object} handlers - Modal handlers from createModalHandlers()
+ * @returns {Function} Called with a hotspot config
+ */
+function createHotspotActivator(handlers) {
+    return (config) => {
+        if (!config) return;
+        
+        switch (config.type) {
+            case 'youtube':
+                handlers.openModal(config.target, config.playback || {});
+                break;
+            case 'playlist':
+                handlers.openPlaylistModal(config.target);
+                break;
+            case 'vimeo':
+                handlers.openVimeoModal(config.target);
+                break;
+            case 'video':
+            case 'audio':
+                handlers.openMediaModal(config.type, config.target);
+                break;
+            case 'image':
+                // Describe the enlarged image with the hotspot's label, or else the page it belongs to
+                handlers.openMediaModal(config.type, config.target, config.label ||
+                    (typeof getPageAltText === 'function' ? getPageAltText(config.pageNumber) : undefined));
+                break;
+            case 'link':
+                window.open(config.target, '_blank', 'noopener,noreferrer');
+                break;
+            case 'page':
+                handlePageNavigationRequest(config.target);
+                break;
+            default:
+                ErrorHandler.warn(`Unknown hotspot type "${config.type}"`);
+        }
+        
+        // Videos get a share link in the hash, and Back closes them
+        if (typeof updateVideoLinkHash === 'function') {
+            updateVideoLinkHash(config);
+        }
+    };
 }
 
 /**
  * Setup keyboard navigation for modal
  * @param {HTMLElement} modal - Modal element
  * @param {Function} closeModal - Close modal function
+ * @param {Function} [stepPlaylist] - Moves through an open playlist (-1 or 1)
  */
-function setupKeyboardNavigation(modal, closeModal) {
+function setupKeyboardNavigation(modal, closeModal, stepPlaylist) {
     // Handle Escape key
     document.addEventListener('keydown', (e) => {
         if (!(e.target instanceof Element)) return;
@@ -55,9 +335,8 @@ function setupKeyboardNavigation(modal, closeModal) {
         const hotspot = e.target.closest(CONFIG.SELECTORS.HOTSPOT);
         if (hotspot && (e.key === 'Enter' || e.key === ' ')) {
             e.preventDefault();
-            const videoId = hotspot.getAttribute('data-video-id');
-            if (videoId && typeof window.openYouTubeModal === 'function') {
-                window.openYouTubeModal(videoId);
+            if (typeof window.activateHotspot === 'function') {
+                window.activateHotspot(getHotspotConfigForElement(hotspot));
             }
         }
         
@@ -65,6 +344,15 @@ function setupKeyboardNavigation(modal, closeModal) {
         if (e.key === 'Escape' && modal.classList.contains('active')) {
             closeModal();
         }
+        
+        // Playlist shortcuts, as on YouTube: Shift+N next video, Shift+P previous
+        if (stepPlaylist && e.shiftKey && modal.classList.contains('active')) {
+            const step = { N: 1, P: -1 }[e.key.toUpperCase()];
+            if (step) {
+                e.preventDefault();
+                stepPlaylist(step);
+            }
+        }
     });
     
     // Handle Tab key for focus trap
@@ -95,19 +383,18 @@ function setupKeyboardNavigation(modal, closeModal) {
 
 /**
  * Setup click handlers for hotspots and modal
- * @param {Function} openModal - Open modal function
+ * @param {Function} activateHotspot - Runs a hotspot's action
  * @param {HTMLElement} modalOverlay - Modal overlay element
  * @param {HTMLElement} modalClose - Close button element
  * @param {Function} closeModal - Close modal function
  */
-function setupClickHandlers(openModal, modalOverlay, modalClose, closeModal) {
-    // Add click listeners to all YouTube hotspots (using event delegation)
+function setupClickHandlers(activateHotspot, modalOverlay, modalClose, closeModal) {
+    // Add click listeners to all hotspots (using event delegation)
     document.addEventListener('click', (e) => {
         if (!(e.target instanceof Element)) return;
         const hotspot = e.target.closest(CONFIG.SELECTORS.HOTSPOT);
         if (hotspot) {
-            const videoId = hotspot.getAttribute('data-video-id');
-            openModal(videoId);
+            activateHotspot(getHotspotConfigForElement(hotspot));
         }
     });
     
@@ -137,10 +424,15 @@ function initializeYouTubeModal() {
     }
     
     // Create handlers
-    const { openModal, closeModal } = createModalHandlers(modal, youtubePlayer, modalClose);
+    const player = createYouTubePlayer(youtubePlayer);
+    const handlers = createModalHandlers(modal, youtubePlayer, modalClose, player);
+    const { openModal, closeModal } = handlers;
+    const activateHotspot = createHotspotActivator(handlers);
     
-    // Expose openModal globally for hotspot click handlers
+    // Expose globally for hotspot click handlers
     window.openYouTubeModal = openModal;
+    window.closeYouTubeModal = closeModal;
+    window.activateHotspot = activateHotspot;
     
     // Also expose to PortfolioApp namespace with documentation
     if (typeof window.PortfolioApp !== 'undefined') {
@@ -150,6 +442,7 @@ function initializeYouTubeModal() {
          * 
          * @function PortfolioApp.openYouTubeModal
          * @param {string} videoId - YouTube video ID (11 characters, e.g., 'dQw4w9WgXcQ')
+         * @param {Object} [playback] - Optional { start, end, mute, loop, captions }; times in seconds
          * @returns {void}
          * 
          * @example
@@ -157,18 +450,74 @@ function initializeYouTubeModal() {
          * PortfolioApp.openYouTubeModal('dQw4w9WgXcQ');
          * 
          * @example
+         * // Play 1:30 to 2:00, muted, with English captions
+         * PortfolioApp.openYouTubeModal('dQw4w9WgXcQ', { start: 90, end: 120, mute: true, captions: 'en' });
+         * 
+         * @example
          * // Extract ID from URL and open
          * const url = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
          * const videoId = url.match(/[?&]v=([^&]+)/)?.[1];
          * if (videoId) PortfolioApp.openYouTubeModal(videoId);
          */
         window.PortfolioApp.openYouTubeModal = openModal;
+        
+        /**
+         * Open a self-hosted video, audio file or image in the modal
+         * 
+         * @function PortfolioApp.openMediaModal
+         * @param {string} type - 'video', 'audio' or 'image'
+         * @param {string} src - File URL
+         * @param {string} [alt='Enlarged image'] - Alt text for images
+         * @returns {void}
+         * 
+         * @example
+         * PortfolioApp.openMediaModal('video', 'media/walkthrough.mp4');
+         */
+        window.PortfolioApp.openMediaModal = handlers.openMediaModal;
+        
+        /**
+         * YouTube player events for the modal's videos
+         * Events: ready, play, pause, ended, progress (position updates) and error.
+         * Handlers get { videoId, currentTime, duration }; errors add { code, message, watchUrl }.
+         * @namespace PortfolioApp.player
+         * 
+         * @example
+         * // See how far viewers get
+         * PortfolioApp.player.on('pause', ({ videoId, currentTime, duration }) => {
+         *     console.log(`${videoId} paused at ${Math.round(currentTime)} of ${Math.round(duration)}s`);
+         * });
+         * 
+         * @example
+         * // Report videos that can't be embedded (removed, private, embedding disabled)
+         * const stop = PortfolioApp.player.on('error', ({ videoId, code }) => console.warn(videoId, code));
+         * stop(); // Remove the listener again
+         * 
+         * @example
+         * // What the player last reported
+         * PortfolioApp.player.getStatus(); // { videoId, state, currentTime, duration, ... }
+         */
+        window.PortfolioApp.player = {
+            on: player.on,
+            off: player.off,
+            getStatus: player.getStatus
+        };
     }
     
+    // "Load video" on the consent placeholder
+    const consentButton = modal.querySelector('.embed-consent-accept');
+    if (consentButton) {
+        consentButton.addEventListener('click', handlers.acceptEmbedConsent);
+    }
+    
+    // Previous/next buttons for playlist hotspots
+    modal.querySelectorAll('[data-playlist-step]').forEach(button => {
+        button.addEventListener('click', () => handlers.stepPlaylist(Number(button.getAttribute('data-playlist-step'))));
+    });
+    
     // Setup keyboard navigation
-    setupKeyboardNavigation(modal, closeModal);
+    setupKeyboardNavigation(modal, closeModal, handlers.stepPlaylist);
     
     // Setup click handlers
-    setupClickHandlers(openModal, modalOverlay, modalClose, closeModal);
+    setupClickHandlers(activateHotspot, modalOverlay, modalClose, closeModal);
 }
 
@@ -3,6 +3,19 @@
  * Handles page navigation via hash URLs and imperative navigation
  */
 
+// Hotspot types a #page-6/video-1 link can open; the number counts these in the page's hotspot order
+const VIDEO_LINK_TYPES = ['youtube', 'playlist', 'vimeo', 'video'];
+
+// The video link the open modal belongs to: { hash, returnHash }; returnHash is the history entry below it
+let activeVideoLink = null;
+
+// Hash that history.back() returns to after a video closed - its hashchange isn't a new navigation
+let returningFromVideoLink = null;
+
+// history.state of entries the portfolio has already handled; arriving at one again means Back/Forward
+// Video link entries also record their returnHash, the hash of the entry below them
+const SEEN_HISTORY_STATE = { portfolioSeen: true };
+
 /**
  * Handle page navigation request
  * Navigates to a specific portfolio page by number. If the page is already loaded, scrolls to it.
@@ -31,10 +44,16 @@ async function handlePageNavigationRequest(pageNumber) {
         return;
     }
     
+    // Fetch the target ahead of the pages before it instead of waiting for them
+    if (typeof prioritizePageLoad === 'function') {
+        prioritizePageLoad(pageNumber);
+    }
+    
     let loaderActive = false;
     const paddedPage = String(pageNumber).padStart(CONFIG.IMAGE.FILENAME_PADDING, '0');
     
-    showGlobalLoader(`Loading page ${paddedPage}…`);
+    const pageTitle = getPageTitle(pageNumber);
+    showGlobalLoader(pageTitle ? `Loading “${pageTitle}”…` : `Loading page ${paddedPage}…`);
     loaderActive = true;
     
     try {
@@ -53,15 +72,243 @@ async function handlePageNavigationRequest(pageNumber) {
     }
 }
 
+/**
+ * Parse a navigation hash
+ * Supports #page-3, video links #page-3/video-1 and #video=62AL_IPh8bA,
+ * and with collections #furniture and #furniture/page-3 (or #furniture/page-3/video-1)
+ * An empty hash means the first collection, so Back from #furniture returns to it
+ * @param {string} hash - location.hash
+ * @returns {Object|null} { collectionId, pageNumber, video } (any may be null; video is { index } or { videoId }),
+ *     or null if the hash isn't a route
+ */
+function parseNavigationHash(hash) {
+    const collections = typeof getCollections === 'function' ? getCollections() : [];
+    
+    if (hash === '' || hash === '#') {
+        return collections.length > 0 ? { collectionId: collections[0].id, pageNumber: null, video: null } : null;
+    }
+    
+    const match = hash.match(/^#(?:([\w-]+)\/)?(?:page-(\d+)(?:\/video-(\d+))?|video=([\w-]+))?$/i);
+    if (!match || (!match[1] && !match[2] && !match[4])) {
+        // A bare word is a collection only if one has that id; other anchors are left alone
+        const collection = typeof getCollection === 'function' ? getCollection(hash.slice(1)) : null;
+        return collection ? { collectionId: collection.id, pageNumber: null, video: null } : null;
+    }
+    
+    const collection = match[1] && typeof getCollection === 'function' ? getCollection(match[1]) : null;
+    if (match[1] && !collection) {
+        ErrorHandler.warn(`Unknown collection "${match[1]}" in ${hash}`);
+        return null;
+    }
+    
+    let video = null;
+    if (match[3]) {
+        video = { index: parseInt(match[3], 10) };
+    } else if (match[4]) {
+        video = { videoId: match[4] };
+    }
+    
+    return {
+        collectionId: collection ? collection.id : null,
+        pageNumber: match[2] ? parseInt(match[2], 10) : null,
+        video
+    };
+}
+
+/**
+ * Get the hash prefix naming the active collection
+ * @returns {string} e.g. "furniture/", or '' without collections
+ */
+function getCollectionHashPrefix() {
+    const collections = typeof getCollections === 'function' ? getCollections() : [];
+    const collectionId = appState.getCollectionId();
+    return collections.length > 0 && collectionId ? `${collectionId}/` : '';
+}
+
+/**
+ * Get a page's hotspots that video links can open, in link order
+ * @param {number} pageNumber - Page number
+ * @returns {Array} Hotspot configs
+ */
+function getPageVideoHotspots(pageNumber) {
+    const configs = appState.getHotspotConfigsByPage().get(pageNumber) || [];
+    return configs.filter(config => VIDEO_LINK_TYPES.includes(config.type));
+}
+
+/**
+ * Get the share link hash for a hotspot
+ * @param {Object} config - Hotspot configuration
+ * @returns {string|null} e.g. #page-6/video-1, or null if the hotspot doesn't open a video
+ */
+function getVideoLinkHash(config) {
+    if (!config || !VIDEO_LINK_TYPES.includes(config.type)) {
+        return null;
+    }
+    
+    const index = getPageVideoHotspots(config.pageNumber).indexOf(config);
+    if (index === -1) {
+        return null;
+    }
+    return `#${getCollectionHashPrefix()}page-${config.pageNumber}/video-${index + 1}`;
+}
+
+/**
+ * Find the hotspot a video link opens
+ * @param {Object} route - Route from parseNavigationHash()
+ * @returns {Object|null} Hotspot configuration
+ */
+function findVideoLinkHotspot(route) {
+    const { index, videoId } = route.video;
+    if (videoId) {
+        return appState.getHotspotConfigs().find(config =>
+            (config.type === 'youtube' || config.type === 'vimeo') && config.target === videoId
+        ) || null;
+    }
+    return getPageVideoHotspots(route.pageNumber)[index - 1] || null;
+}
+
+/**
+ * Open the hotspot a video link points at
+ * Scrolls to its page and waits for it, then opens the modal as if the hotspot was clicked
+ * @param {Object} route - Route from parseNavigationHash() with a video
+ * @param {string|null} previousHash - Hash of the entry below the link's, or null when it isn't known
+ *   (the visit started on the link, or Back/Forward reached an entry that didn't record it)
+ * @returns {Promise<void>}
+ */
+async function openVideoLink(route, previousHash) {
+    const hash = window.location.hash;
+    
+    // Hotspot configs load alongside the pages
+    await appState.getHotspotConfigsReady();
+    
+    const config = findVideoLinkHotspot(route);
+    if (!config) {
+        ErrorHandler.warn(`No video hotspot found for ${hash}`);
+        if (route.pageNumber) {
+            handlePageNavigationRequest(route.pageNumber);
+        }
+        return;
+    }
+    
+    await handlePageNavigationRequest(config.pageNumber);
+    const page = await waitForPageReady(config.pageNumber);
+    
+    // The page isn't there, or the reader followed another link while it loaded
+    if (!page || window.location.hash !== hash || typeof window.activateHotspot !== 'function') {
+        return;
+    }
+    
+    let returnHash = previousHash;
+    if (returnHash === null) {
+        // Put the page underneath, so Back closes the video instead of leaving it
+        // (or going to whatever entry happens to be below)
+        returnHash = `#${getCollectionHashPrefix()}page-${config.pageNumber}`;
+        history.replaceState(SEEN_HISTORY_STATE, '', returnHash);
+        history.pushState({ ...SEEN_HISTORY_STATE, returnHash }, '', hash);
+    } else {
+        history.replaceState({ ...SEEN_HISTORY_STATE, returnHash }, '');
+    }
+    
+    activeVideoLink = { hash, returnHash };
+    window.activateHotspot(config);
+}
+
+/**
+ * Point the hash at a video the modal just opened
+ * Adds a history entry, so Back closes the video instead of leaving the portfolio
+ * @param {Object} config - Configuration of the hotspot that opened it
+ */
+function updateVideoLinkHash(config) {
+    const hash = getVideoLinkHash(config);
+    
+    // Opened from a video link - the hash already points at it
+    if (!hash || (activeVideoLink && activeVideoLink.hash === window.location.hash)) {
+        return;
+    }
+    
+    activeVideoLink = { hash, returnHash: window.location.hash };
+    history.pushState({ ...SEEN_HISTORY_STATE, returnHash: window.location.hash }, '', hash);
+}
+
+/**
+ * Take the hash back off a video when the modal closes
+ */
+function clearVideoLinkHash() {
+    if (!activeVideoLink) {
+        return;
+    }
+    
+    const { hash, returnHash } = activeVideoLink;
+    activeVideoLink = null;
+    if (window.location.hash !== hash) {
+        return;
+    }
+    
+    // Step back to the entry below the video's, so Forward can reopen it
+    returningFromVideoLink = returnHash;
+    history.back();
+}
+
 /**
  * Setup hash navigation
  */
 function setupHashNavigation() {
-    function handleHashChange() {
-        const match = window.location.hash.match(/^#page-(\d+)$/i);
-        if (match) {
-            const requestedPage = parseInt(match[1], 10);
-            handlePageNavigationRequest(requestedPage);
+    /**
+     * Follow the current hash
+     * @param {HashChangeEvent} [event] - Missing for the hash the visit started on
+     */
+    async function handleHashChange(event) {
+        const hash = window.location.hash;
+        
+        // Links and location.hash create fresh entries; Back/Forward return to ones already handled
+        const seenState = history.state && history.state.portfolioSeen ? history.state : null;
+        if (!seenState) {
+            history.replaceState(SEEN_HISTORY_STATE, '');
+        }
+        
+        // The modal closed and went back from its video link - the page is already in place
+        const returning = returningFromVideoLink !== null && hash === returningFromVideoLink;
+        returningFromVideoLink = null;
+        if (returning) {
+            return;
+        }
+        
+        // Back (or another link) left the open video's history entry
+        if (activeVideoLink && hash !== activeVideoLink.hash) {
+            const leftVideo = hash === activeVideoLink.returnHash;
+            activeVideoLink = null;
+            if (typeof window.closeYouTubeModal === 'function') {
+                window.closeYouTubeModal();
+            }
+            if (leftVideo) {
+                return;
+            }
+        }
+        
+        const route = parseNavigationHash(hash);
+        if (!route) {
+            return;
+        }
+        
+        if (route.collectionId && typeof switchCollection === 'function') {
+            const switched = await switchCollection(route.collectionId);
+            if (switched && !route.pageNumber) {
+                window.scrollTo({ top: 0 });
+            }
+        }
+        
+        if (route.video) {
+            // oldURL is only the entry below for a forward navigation the page made -
+            // after Back/Forward it's wherever the reader came from, so use what the entry recorded
+            let previousHash = null;
+            if (seenState) {
+                previousHash = seenState.returnHash || null;
+            } else if (event) {
+                previousHash = new URL(event.oldURL).hash;
+            }
+            openVideoLink(route, previousHash);
+        } else if (route.pageNumber) {
+            handlePageNavigationRequest(route.pageNumber);
         }
     }
     
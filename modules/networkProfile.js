@@ -0,0 +1,155 @@
+/**
+ * Network Profile Module
+ * Switches page loading to a "lite" profile on Save-Data or slow connections,
+ * and shows a toggle that lets the reader ask for full quality anyway
+ */
+
+const FULL_QUALITY_STORAGE_KEY = 'portfolio-full-quality';
+
+// Whether the lite profile is active, and why the connection qualifies for it (null when it doesn't)
+let liteProfile = false;
+let liteProfileReason = null;
+
+/**
+ * Get the Network Information API object
+ * @returns {Object|null} navigator.connection, or null where unsupported (Safari, Firefox)
+ */
+function getNetworkConnection() {
+    return navigator.connection || navigator.mozConnection || navigator.webkitConnection || null;
+}
+
+/**
+ * Check whether the current connection calls for the lite profile
+ * @returns {string|null} Reason (e.g. "Save-Data is on"), or null for a fast connection
+ */
+function getLiteProfileReason() {
+    const connection = getNetworkConnection();
+    if (!CONFIG.NETWORK.LITE_PROFILE || !connection) {
+        return null;
+    }
+    
+    if (connection.saveData) {
+        return 'Save-Data is on';
+    }
+    if (CONFIG.NETWORK.LITE_EFFECTIVE_TYPES.includes(connection.effectiveType)) {
+        return `the connection is ${connection.effectiveType}`;
+    }
+    return null;
+}
+
+/**
+ * Check whether the reader chose full quality on an earlier visit
+ * @returns {boolean} True if full quality was forced
+ */
+function isFullQualityForced() {
+    try {
+        return localStorage.getItem(FULL_QUALITY_STORAGE_KEY) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check whether pages load with the lite profile
+ * @returns {boolean} True on Save-Data or slow connections, unless the reader forced full quality
+ */
+function isLiteNetworkProfile() {
+    return liteProfile;
+}
+
+/**
+ * Show the full-quality toggle whenever the connection qualifies for the lite profile
+ */
+function updateQualityToggle() {
+    const toggle = document.getElementById(CONFIG.NETWORK.TOGGLE_ID);
+    if (!toggle) return;
+    
+    toggle.hidden = !liteProfileReason;
+    toggle.setAttribute('aria-pressed', String(!liteProfile));
+    toggle.textContent = liteProfile ? 'Data saver on · Load full quality' : 'Full quality · Use data saver';
+    toggle.title = liteProfileReason ? `Data saver turns on because ${liteProfileReason}` : '';
+}
+
+/**
+ * Re-evaluate the connection and switch profiles if needed
+ * Switching to full quality releases pages and animation icons the lite profile held back
+ */
+function applyNetworkProfile() {
+    const wasLite = liteProfile;
+    liteProfileReason = getLiteProfileReason();
+    liteProfile = Boolean(liteProfileReason) && !isFullQualityForced();
+    updateQualityToggle();
+    
+    if (liteProfile === wasLite) {
+        return;
+    }
+    
+    if (liteProfile) {
+        ErrorHandler.log(`Lite loading profile: ${liteProfileReason}`);
+        return;
+    }
+    
+    ErrorHandler.log('Full-quality loading profile');
+    if (typeof resumeBackgroundLoading === 'function') {
+        resumeBackgroundLoading();
+    }
+    if (typeof attachDeferredAnimations === 'function') {
+        attachDeferredAnimations();
+    }
+}
+
+/**
+ * Force full quality, or go back to following the connection
+ * The choice is remembered in localStorage
+ * @param {boolean} enabled - True to always load full quality
+ */
+function setFullQuality(enabled) {
+    try {
+        if (enabled) {
+            localStorage.setItem(FULL_QUALITY_STORAGE_KEY, 'true');
+        } else {
+            localStorage.removeItem(FULL_QUALITY_STORAGE_KEY);
+        }
+    } catch (error) {
+        // Storage unavailable - the choice lasts for this visit only
+    }
+    
+    applyNetworkProfile();
+}
+
+/**
+ * Initialize the network profile
+ * Must run before initializePortfolioPages() so the first page already uses the right profile
+ */
+function initializeNetworkProfile() {
+    const toggle = document.getElementById(CONFIG.NETWORK.TOGGLE_ID);
+    if (toggle) {
+        toggle.addEventListener('click', () => setFullQuality(liteProfile));
+    }
+    
+    const connection = getNetworkConnection();
+    if (connection && typeof connection.addEventListener === 'function') {
+        connection.addEventListener('change', applyNetworkProfile);
+    }
+    
+    applyNetworkProfile();
+    
+    if (typeof window.PortfolioApp !== 'undefined') {
+        /**
+         * Network profile helpers
+         * @namespace PortfolioApp.network
+         *
+         * @example
+         * // Check whether the lite profile is active
+         * PortfolioApp.network.isLite();
+         *
+         * @example
+         * // Load full quality even on a slow connection (remembered across visits)
+         * PortfolioApp.network.setFullQuality(true);
+         */
+        window.PortfolioApp.network = {
+            isLite: isLiteNetworkProfile,
+            setFullQuality
+        };
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * Offline Controller Module
+ * Registers the opt-in service worker (sw.js) and shows the "available offline" indicator
+ */
+
+// Indicator text to show while online ("Available offline" once every page is cached)
+let onlineIndicatorMessage = null;
+
+/**
+ * Hash text content into a short hex version string
+ * @param {string} text - Content to hash
+ * @returns {Promise<string>} First 12 hex characters of the SHA-256 digest
+ */
+async function hashContent(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('')
+        .slice(0, 12);
+}
+
+/**
+ * List the config files the service worker precaches and always fetches from the network first
+ * Covers the manifest, previews and config files of every collection, not only the active one
+ * @returns {Array<string>} Relative config file URLs
+ */
+function getOfflineConfigFiles() {
+    return Array.from(new Set([
+        CONFIG.IMAGE.MANIFEST_FILE,
+        CONFIG.IMAGE.PREVIEW_FILE,
+        CONFIG.HOTSPOT.FILE,
+        CONFIG.ANIMATION_HINT.FILE,
+        CONFIG.PAGE_METADATA.FILE,
+        ...(typeof getCollectionConfigFiles === 'function' ? getCollectionConfigFiles() : [])
+    ].filter(Boolean)));
+}
+
+/**
+ * List the animation config files whose icons the service worker precaches
+ * @returns {Array<string>} Relative animation config URLs
+ */
+function getOfflineAnimationFiles() {
+    const collections = typeof getCollections === 'function' ? getCollections() : [];
+    return Array.from(new Set([
+        CONFIG.ANIMATION_HINT.FILE,
+        ...collections.map(collection => resolveCollectionFiles(collection).animationFile)
+    ].filter(Boolean)));
+}
+
+/**
+ * Compute the offline cache version
+ * Combines CONFIG.OFFLINE.CACHE_VERSION with the contents of the page manifest and config files
+ * (of every collection), so editing the hotspot, animation or page config or the manifest invalidates the offline copy
+ * Page images are revalidated by sw.js instead, so replacing one doesn't need a new version
+ * @returns {Promise<string>} Cache version
+ */
+async function computeOfflineCacheVersion() {
+    const sources = getOfflineConfigFiles();
+    
+    const contents = await Promise.all(sources.map(async (source) => {
+        try {
+            const response = await fetch(source, { cache: 'no-cache' });
+            return response.ok ? await response.text() : '';
+        } catch (error) {
+            return '';
+        }
+    }));
+    
+    return hashContent([CONFIG.OFFLINE.CACHE_VERSION, ...contents].join('\n'));
+}
+
+/**
+ * Update the offline indicator
+ * @param {string|null} message - Text to show, or null to hide the indicator
+ */
+function setOfflineIndicator(message) {
+    const indicator = document.getElementById(CONFIG.OFFLINE.INDICATOR_ID);
+    if (!indicator) return;
+    
+    if (message) {
+        indicator.textContent = message;
+        indicator.hidden = false;
+    } else {
+        indicator.hidden = true;
+    }
+}
+
+/**
+ * Send a message to the active service worker and wait for its reply
+ * @param {Object} message - Message payload
+ * @returns {Promise<Object|null>} Reply, or null if no worker is active
+ */
+async function postToServiceWorker(message) {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.active) {
+        return null;
+    }
+    
+    return new Promise((resolve) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (event) => resolve(event.data);
+        registration.active.postMessage(message, [channel.port2]);
+    });
+}
+
+/**
+ * Ask the service worker to store every loaded page image, then show the indicator
+ * Called once background loading has finished
+ * @returns {Promise<void>}
+ */
+async function cachePagesForOffline() {
+    if (!CONFIG.OFFLINE.ENABLED || !('serviceWorker' in navigator)) {
+        return;
+    }
+    
+    // Cache the exact files findImageCandidate() settled on (format and width variant),
+    // plus the full-resolution originals that zooming swaps in
+    const urls = Array.from(new Set(appState.getLoadedImages()
+        .filter(image => !image.failed)
+        .flatMap(image => [image.path, image.fullResolutionPath])
+        .filter(Boolean)));
+    if (urls.length === 0) {
+        return;
+    }
+    
+    try {
+        const status = await postToServiceWorker({ type: 'CACHE_PAGES', urls });
+        if (status && status.cached === status.total) {
+            onlineIndicatorMessage = 'Available offline';
+            if (navigator.onLine) {
+                setOfflineIndicator(onlineIndicatorMessage);
+            }
+            ErrorHandler.log(`All ${status.total} pages cached for offline viewing (version ${status.version})`);
+        } else if (status) {
+            ErrorHandler.warn(`Only ${status.cached} of ${status.total} pages could be cached for offline viewing`);
+        }
+    } catch (error) {
+        ErrorHandler.warn('Could not cache pages for offline viewing', error);
+    }
+}
+
+/**
+ * Delete all offline caches
+ * The next visit re-downloads everything and caches it again
+ * @returns {Promise<void>}
+ */
+async function clearOfflineCache() {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+    
+    await postToServiceWorker({ type: 'CLEAR_CACHES' });
+    onlineIndicatorMessage = null;
+    setOfflineIndicator(null);
+    ErrorHandler.log('Offline caches cleared');
+}
+
+/**
+ * Initialize offline support (only when CONFIG.OFFLINE.ENABLED)
+ * @returns {Promise<void>}
+ */
+async function initializeOfflineSupport() {
+    if (typeof window.PortfolioApp !== 'undefined') {
+        /**
+         * Offline helpers
+         * @namespace PortfolioApp.offline
+         *
+         * @example
+         * // Force the next visit to re-download the portfolio
+         * PortfolioApp.offline.clearCache();
+         */
+        window.PortfolioApp.offline = {
+            clearCache: clearOfflineCache
+        };
+    }
+    
+    if (!CONFIG.OFFLINE.ENABLED || !('serviceWorker' in navigator) || !window.isSecureContext) {
+        return;
+    }
+    
+    window.addEventListener('offline', () => setOfflineIndicator('Offline – showing saved copy'));
+    window.addEventListener('online', () => setOfflineIndicator(onlineIndicatorMessage));
+    
+    try {
+        const version = await computeOfflineCacheVersion();
+        // sw.js has no access to CONFIG, so the files it needs travel in the registration URL
+        const params = new URLSearchParams({
+            v: version,
+            config: getOfflineConfigFiles().join(','),
+            animations: getOfflineAnimationFiles().join(','),
+            icons: CONFIG.ANIMATION_HINT.ICONS_FOLDER
+        });
+        await navigator.serviceWorker.register(`${CONFIG.OFFLINE.SERVICE_WORKER}?${params}`, {
+            updateViaCache: 'none'
+        });
+        ErrorHandler.log(`Service worker registered (cache version ${version})`);
+    } catch (error) {
+        ErrorHandler.warn('Service worker registration failed - offline mode unavailable', error);
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * Page Metadata Module
+ * Loads per-page titles, alt text, captions and descriptions (CONFIG.PAGE_METADATA.FILE)
+ * and applies them to rendered pages and the document title
+ */
+
+// Document title without a page title, e.g. "Furniture – Joshua Barzideh - Selected Works"
+let baseDocumentTitle = document.title;
+
+// Page shown in the document title, refreshed when the metadata arrives
+let currentPageNumber = null;
+
+/**
+ * Clean up one metadata field
+ * @param {*} value - Raw value from the metadata file
+ * @returns {string|null} Trimmed text, or null if empty or not a string
+ */
+function normalizeMetadataText(value) {
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+/**
+ * Load page metadata, then apply it to pages that rendered before it arrived
+ * A missing file is fine - pages keep their default "Portfolio Page N" alt text
+ * @returns {Promise<void>}
+ */
+async function loadPageMetadata() {
+    if (!CONFIG.PAGE_METADATA.FILE) {
+        return;
+    }
+    
+    const collectionId = appState.getCollectionId();
+    try {
+        const response = await fetch(CONFIG.PAGE_METADATA.FILE, { cache: 'no-cache' });
+        if (!response.ok) {
+            ErrorHandler.log('No page metadata file found - pages use default alt text');
+            return;
+        }
+        
+        const data = await response.json();
+        
+        // The reader switched collections while this was loading
+        if (appState.getCollectionId() !== collectionId) {
+            return;
+        }
+        
+        const metadata = new Map();
+        (Array.isArray(data.pages) ? data.pages : []).forEach(entry => {
+            const pageNumber = parseInt(entry && entry.page, 10);
+            if (!Validation.validatePageNumber(pageNumber)) {
+                ErrorHandler.warn(`Invalid page number "${entry && entry.page}" in page metadata`);
+                return;
+            }
+            
+            metadata.set(pageNumber, {
+                title: normalizeMetadataText(entry.title),
+                alt: normalizeMetadataText(entry.alt),
+                caption: normalizeMetadataText(entry.caption),
+                description: normalizeMetadataText(entry.description)
+            });
+        });
+        
+        appState.setPageMetadata(metadata);
+        ErrorHandler.log(`Loaded metadata for ${metadata.size} pages`);
+        
+        document.querySelectorAll(CONFIG.SELECTORS.PORTFOLIO_PAGE).forEach(pageDiv => {
+            applyPageMetadata(pageDiv, parseInt(pageDiv.getAttribute('data-page'), 10));
+        });
+        if (currentPageNumber) {
+            updateDocumentTitleForPage(currentPageNumber);
+        }
+    } catch (error) {
+        ErrorHandler.warn('Could not read page metadata - pages use default alt text', error);
+    }
+}
+
+/**
+ * Get a page's title
+ * @param {number} pageNumber - Page number
+ * @returns {string|null} Title, or null if the page has none
+ */
+function getPageTitle(pageNumber) {
+    const metadata = appState.getPageMetadataEntry(pageNumber);
+    return metadata ? metadata.title : null;
+}
+
+/**
+ * Get the alt text for a page's image
+ * Falls back to the page title, then to "Portfolio Page N"
+ * @param {number} pageNumber - Page number
+ * @returns {string} Alt text
+ */
+function getPageAltText(pageNumber) {
+    const metadata = appState.getPageMetadataEntry(pageNumber);
+    return (metadata && (metadata.alt || metadata.title)) || `Portfolio Page ${pageNumber}`;
+}
+
+/**
+ * Apply a page's metadata to its element: image alt text, accessible name, caption and description
+ * Safe to call again (e.g. after the metadata loads or the page re-renders)
+ * @param {HTMLElement} pageDiv - Page element
+ * @param {number} pageNumber - Page number
+ */
+function applyPageMetadata(pageDiv, pageNumber) {
+    const metadata = appState.getPageMetadataEntry(pageNumber);
+    
+    // Placeholders and unloaded pages have no image yet - hydratePortfolioPage() applies it later
+    const img = pageDiv.querySelector(`${CONFIG.SELECTORS.ZOOMIST_IMAGE} img`);
+    if (!img) {
+        return;
+    }
+    
+    img.alt = getPageAltText(pageNumber);
+    
+    if (metadata && metadata.title) {
+        pageDiv.setAttribute('role', 'group');
+        pageDiv.setAttribute('aria-label', metadata.title);
+    } else {
+        pageDiv.removeAttribute('role');
+        pageDiv.removeAttribute('aria-label');
+    }
+    
+    pageDiv.querySelectorAll(':scope > .page-caption, :scope > .page-description').forEach(element => element.remove());
+    if (!metadata) {
+        img.removeAttribute('aria-describedby');
+        return;
+    }
+    
+    if (metadata.caption) {
+        pageDiv.appendChild(DOM.createElement('p', 'page-caption', {
+            textContent: metadata.caption
+        }));
+    }
+    
+    // The long description is for screen readers; sighted readers have the page itself
+    if (metadata.description) {
+        const descriptionId = `page-description-${pageNumber}`;
+        pageDiv.appendChild(DOM.createElement('p', 'page-description visually-hidden', {
+            id: descriptionId,
+            textContent: metadata.description
+        }));
+        img.setAttribute('aria-describedby', descriptionId);
+    } else {
+        img.removeAttribute('aria-describedby');
+    }
+}
+
+/**
+ * Set the document title used when the current page has no title
+ * @param {string} title - Document title
+ */
+function setBaseDocumentTitle(title) {
+    baseDocumentTitle = title;
+    currentPageNumber = null;
+    document.title = title;
+}
+
+/**
+ * Show a page's title in the document title ("Page title – Portfolio")
+ * @param {number} pageNumber - Page number
+ */
+function updateDocumentTitleForPage(pageNumber) {
+    currentPageNumber = pageNumber;
+    const title = getPageTitle(pageNumber);
+    document.title = title ? `${title} – ${baseDocumentTitle}` : baseDocumentTitle;
+}
+
+/**
+ * Track which page is current so the document title follows the reader
+ * @param {HTMLElement} pageDiv - Page element
+ */
+function observePageForDocumentTitle(pageDiv) {
+    if (!('IntersectionObserver' in window)) {
+        return;
+    }
+    
+    let observer = appState.getCurrentPageObserver();
+    if (!observer) {
+        observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    updateDocumentTitleForPage(parseInt(entry.target.getAttribute('data-page'), 10));
+                }
+            });
+        }, {
+            rootMargin: CONFIG.PAGE_METADATA.CURRENT_PAGE_MARGIN
+        });
+        appState.setCurrentPageObserver(observer);
+    }
+    
+    observer.observe(pageDiv);
+}
+
+/**
+ * Initialize page metadata helpers
+ */
+function initializePageMetadata() {
+    if (typeof window.PortfolioApp !== 'undefined') {
+        /**
+         * Page metadata, e.g. for a table of contents
+         * @namespace PortfolioApp.pages
+         *
+         * @example
+         * // Titles of every page with metadata, in page order
+         * PortfolioApp.pages.list();
+         *
+         * @example
+         * // Title, alt text, caption and description of page 3
+         * PortfolioApp.pages.get(3);
+         */
+        window.PortfolioApp.pages = {
+            list: () => Array.from(appState.getPageMetadata().entries())
+                .sort(([a], [b]) => a - b)
+                .map(([pageNumber, metadata]) => ({ pageNumber, title: metadata.title })),
+            get: (pageNumber) => appState.getPageMetadataEntry(pageNumber)
+        };
+    }
+}
@@ -21,46 +21,186 @@ async function renderPortfolioPage(imageData, index, container, animationConfigs
     ErrorHandler.log(`Starting to render page ${imageData.pageNumber}`);
     appState.addPageInFlight(imageData.pageNumber);
     
-    // DOM Element Tracking - Check for existing elements
+    // DOM Element Tracking - Check for existing elements (preview placeholders are reused)
     const existingPage = container.querySelector(`[data-page="${pageNumber}"]`);
-    if (existingPage && CONFIG.DEBUG.ENABLED) {
+    const placeholder = existingPage && existingPage.hasAttribute('data-placeholder') ? existingPage : null;
+    if (existingPage && !placeholder && CONFIG.DEBUG.ENABLED) {
         console.warn(`[DOM-DEBUG] WARNING: Page element already exists for page ${pageNumber}!`);
         console.warn(`  ├─ Existing element:`, existingPage);
         console.warn(`  └─ This may cause duplicate rendering`);
     }
     
-    // Create page div with loader
-    const pageDiv = DOM.createElement('div', 'portfolio-page loading', {
-        'data-page': imageData.pageNumber,
-        'aria-busy': 'true'
-    });
-    
-    const loader = DOM.createSkeletonElement();
-    pageDiv.appendChild(loader);
-    container.appendChild(pageDiv);
+    let pageDiv = placeholder;
+    if (pageDiv) {
+        pageDiv.removeAttribute('data-placeholder');
+    } else {
+        // Create page div with loader (or the page's preview, if it has one)
+        pageDiv = DOM.createElement('div', 'portfolio-page loading', {
+            'data-page': imageData.pageNumber,
+            'aria-busy': 'true'
+        });
+        
+        const loader = createPagePreviewElement(pageNumber) ||
+            DOM.createSkeletonElement({ width: imageData.width, height: imageData.height });
+        pageDiv.appendChild(loader);
+        insertPageInOrder(container, pageDiv, pageNumber);
+    }
     observePageForAnimations(pageDiv);
     
+    await hydratePortfolioPage(pageDiv, imageData, index, animationConfigs);
+    
+    // Removed by a collection switch while loading - the new collection's state isn't ours to touch
+    if (!pageDiv.isConnected) {
+        return;
+    }
+    
+    appState.removePageInFlight(imageData.pageNumber);
+    notifyPageReady(imageData.pageNumber, pageDiv);
+    
+    // Windowing mode: let the virtualizer unload this page once it is far offscreen
+    if (typeof registerPageForVirtualization === 'function') {
+        registerPageForVirtualization(pageDiv);
+    }
+    
+    // The document title follows the page the reader is on
+    observePageForDocumentTitle(pageDiv);
+    
+    // Fetch the pages after this one first once it nears the viewport
+    if (typeof observePageForFetchPriority === 'function') {
+        observePageForFetchPriority(pageDiv);
+    }
+    
+    // Debug tracking completion
+    if (callId && typeof DebugTracker !== 'undefined') {
+        DebugTracker.trackPageRenderComplete(pageNumber, callId, timestamp);
+    }
+}
+
+/**
+ * Create the preview element for a page from its preview image or BlurHash
+ * @param {number} pageNumber - Page number
+ * @returns {HTMLImageElement|null} Preview element, or null if the page has no preview
+ */
+function createPagePreviewElement(pageNumber) {
+    const preview = appState.getPagePreview(pageNumber);
+    if (!preview) {
+        return null;
+    }
+    
+    // Decode the BlurHash once; the result is reused when virtualized pages come back
+    if (!preview.src && !('decodedSrc' in preview)) {
+        const aspect = preview.width && preview.height ? preview.height / preview.width : 0.5;
+        preview.decodedSrc = BlurHash.toDataURL(preview.blurhash, 32, Math.max(1, Math.round(32 * aspect)));
+    }
+    
+    const src = preview.src || preview.decodedSrc;
+    return src ? DOM.createPreviewElement(src, { width: preview.width, height: preview.height }) : null;
+}
+
+/**
+ * Render a placeholder for every page listed in the manifest or with a preview, before any page image has loaded
+ * Placeholders keep the final layout from the start (a preview, or a loader sized from the manifest's
+ * width and height); renderPortfolioPage() fills them in
+ * @param {HTMLElement} container - Container element
+ */
+function renderPagePlaceholders(container) {
+    const manifest = appState.getPageManifest();
+    const pageNumbers = new Set([
+        ...(manifest ? manifest.pages.map(entry => entry.pageNumber) : []),
+        ...appState.getPagePreviews().keys()
+    ]);
+    
+    Array.from(pageNumbers).sort((a, b) => a - b).forEach(pageNumber => {
+        const manifestEntry = appState.getPageManifestEntry(pageNumber);
+        const previewElement = createPagePreviewElement(pageNumber) ||
+            DOM.createSkeletonElement(manifestEntry ? { width: manifestEntry.width, height: manifestEntry.height } : null);
+        
+        const pageDiv = DOM.createElement('div', 'portfolio-page loading', {
+            'data-page': pageNumber,
+            'data-placeholder': 'true',
+            'aria-busy': 'true'
+        });
+        pageDiv.appendChild(previewElement);
+        insertPageInOrder(container, pageDiv, pageNumber);
+        observePageForAnimations(pageDiv);
+        
+        // Placeholders near the viewport get their images fetched first
+        if (typeof observePageForFetchPriority === 'function') {
+            observePageForFetchPriority(pageDiv);
+        }
+    });
+}
+
+/**
+ * Remove the placeholder of a page that turned out to be missing
+ * @param {number} pageNumber - Page number
+ */
+function removePagePlaceholder(pageNumber) {
+    const placeholder = document.querySelector(`${CONFIG.SELECTORS.PORTFOLIO_PAGE}[data-page="${pageNumber}"][data-placeholder]`);
+    if (placeholder) {
+        placeholder.remove();
+    }
+}
+
+/**
+ * Insert a page element before the first page with a higher number
+ * Pages can render out of order (navigation targets jump the fetch queue), but always appear in order
+ * @param {HTMLElement} container - Container element
+ * @param {HTMLElement} pageDiv - Page element
+ * @param {number} pageNumber - Page number
+ */
+function insertPageInOrder(container, pageDiv, pageNumber) {
+    const nextPage = Array.from(container.querySelectorAll(CONFIG.SELECTORS.PORTFOLIO_PAGE))
+        .find(page => parseInt(page.getAttribute('data-page'), 10) > pageNumber);
+    container.insertBefore(pageDiv, nextPage || null);
+}
+
+/**
+ * Load a page's image into an existing page element and attach its zoom, hotspots and animations
+ * Used for the first render and again when a virtualized page comes back near the viewport
+ * @param {HTMLElement} pageDiv - Page element (showing a loader or placeholder)
+ * @param {Object} imageData - Image data object
+ * @param {number} index - Page index
+ * @param {Array} animationConfigs - Animation configurations
+ * @returns {Promise<boolean>} True if the image loaded
+ */
+async function hydratePortfolioPage(pageDiv, imageData, index, animationConfigs = []) {
     try {
+        if (imageData.failed) {
+            // Every fetch attempt failed transiently - go straight to the retryable error
+            throw new Error(imageData.error || `Page ${imageData.pageNumber} failed to load`);
+        }
+        
         // Load image (reuse image element from fetch() if available to avoid duplicate requests)
         const imageElement = imageData.imageElement || null;
         const img = await loadImageSequential(imageData.path, imageData.pageNumber, index, imageElement);
         
-        img.alt = `Portfolio Page ${imageData.pageNumber}`;
+        // The reader switched collections while the image loaded
+        if (!pageDiv.isConnected) {
+            ResourceRegistry.revoke(img.src);
+            return false;
+        }
+        
+        img.alt = getPageAltText(imageData.pageNumber);
         
         // Create zoomist structure
-        const zoomistContainer = DOM.createZoomistStructure(img);
+        const zoomistContainer = DOM.createZoomistStructure(img, imageData);
         
         pageDiv.classList.remove('loading');
         pageDiv.setAttribute('aria-busy', 'false');
-        pageDiv.replaceChildren(zoomistContainer);
+        DOM.replaceWithCrossFade(pageDiv, zoomistContainer);
+        applyPageMetadata(pageDiv, imageData.pageNumber);
+        ResourceRegistry.releaseWhenDisplayed(img);
         appState.updateMaxLoadedPageNumber(imageData.pageNumber);
+        appState.addLivePage(imageData.pageNumber);
         
         // Initialize zoomist on desktop only
         initializeZoomistForPage(pageDiv, zoomistContainer, imageData.pageNumber);
         
         // Attach hotspots
-        attachHotspotsToPage(pageDiv, imageData.pageNumber, window.openYouTubeModal);
+        attachHotspotsToPage(pageDiv, imageData.pageNumber, window.activateHotspot);
         registerPageForHotspotDiscovery(pageDiv);
+        attachHotspotEditorToPage(pageDiv);
         repositionAllHotspots();
         
         // Attach animations (check appState if configs weren't passed)
@@ -71,21 +211,61 @@ async function renderPortfolioPage(imageData, index, container, animationConfigs
         attachAnimationsToPage(pageDiv, imageData.pageNumber, configsToUse).catch(error => {
             ErrorHandler.warn(`Error attaching animations to page ${imageData.pageNumber}`, error);
         });
+        attachAnimationEditorToPage(pageDiv);
+        return true;
     } catch (error) {
-        ErrorHandler.warn(`Failed to load image: ${imageData.path}`, error);
+        ErrorHandler.warn(`Failed to load image: ${imageData.path || `page ${imageData.pageNumber}`}`, error);
+        pageDiv.classList.remove('loading');
         pageDiv.classList.add('load-error');
         pageDiv.setAttribute('aria-busy', 'false');
-        const fallback = DOM.createFallbackElement('Unable to load this page.');
+        const fallback = DOM.createFallbackElement('Unable to load this page.', () => {
+            retryPortfolioPage(pageDiv, imageData, index, animationConfigs);
+        });
         pageDiv.replaceChildren(fallback);
+        return false;
     }
+}
+
+/**
+ * Fetch a failed page again and render it in place
+ * Called from the error fallback's Retry button; hotspots and animations attach as on first render
+ * @param {HTMLElement} pageDiv - Page element showing the error fallback
+ * @param {Object} imageData - Image data object (updated with the new fetch result)
+ * @param {number} index - Page index
+ * @param {Array} animationConfigs - Animation configurations
+ * @returns {Promise<boolean>} True if the image loaded
+ */
+async function retryPortfolioPage(pageDiv, imageData, index, animationConfigs = []) {
+    const pageNumber = imageData.pageNumber;
+    ErrorHandler.log(`Retrying page ${pageNumber}`);
     
-    appState.removePageInFlight(imageData.pageNumber);
-    notifyPageReady(imageData.pageNumber, pageDiv);
+    pageDiv.classList.remove('load-error');
+    pageDiv.classList.add('loading');
+    pageDiv.setAttribute('aria-busy', 'true');
+    pageDiv.replaceChildren(createPagePreviewElement(pageNumber) ||
+        DOM.createSkeletonElement({ width: imageData.width, height: imageData.height }));
+    appState.addPageInFlight(pageNumber);
     
-    // Debug tracking completion
-    if (callId && typeof DebugTracker !== 'undefined') {
-        DebugTracker.trackPageRenderComplete(pageNumber, callId, timestamp);
+    let candidate = null;
+    try {
+        candidate = await requestPageFetch(pageNumber, FETCH_PRIORITY.HIGH);
+    } catch (error) {
+        ErrorHandler.warn(`Retry for page ${pageNumber} was cancelled`, error);
+    } finally {
+        appState.getFetchScheduler().release(pageNumber);
     }
+    
+    if (candidate) {
+        delete imageData.failed;
+        delete imageData.error;
+        Object.assign(imageData, createLoaderResult(candidate, pageNumber));
+    } else {
+        imageData.failed = true;
+    }
+    
+    const loaded = await hydratePortfolioPage(pageDiv, imageData, index, animationConfigs);
+    appState.removePageInFlight(pageNumber);
+    return loaded;
 }
 
 /**
@@ -0,0 +1,129 @@
+/**
+ * Page Virtualizer Module
+ * Windowing mode for long portfolios: pages far from the viewport release their image,
+ * hotspots and Zoomist instance, and re-render through the normal path as they come back
+ */
+
+// Pages whose first observer callback has arrived (it fires on observe(), wherever the page is)
+const virtualizationSeenPages = new WeakSet();
+
+/**
+ * Initialize page virtualization (only when CONFIG.VIRTUALIZATION.ENABLED)
+ */
+function initializePageVirtualization() {
+    if (!CONFIG.VIRTUALIZATION.ENABLED) {
+        return;
+    }
+    
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            const page = entry.target;
+            page.dataset.nearViewport = entry.isIntersecting ? 'true' : 'false';
+            
+            // A page rendered in the background reports "far away" straight away - keep the image
+            // it just fetched until the reader has actually scrolled past it
+            const firstReport = !virtualizationSeenPages.has(page);
+            virtualizationSeenPages.add(page);
+            
+            if (entry.isIntersecting) {
+                if (page.classList.contains('virtualized')) {
+                    rehydratePage(page);
+                }
+            } else if (!firstReport) {
+                dehydratePage(page);
+            }
+        });
+    }, {
+        rootMargin: CONFIG.VIRTUALIZATION.ROOT_MARGIN
+    });
+    
+    appState.setPageVirtualizationObserver(observer);
+    ErrorHandler.log('Page virtualization enabled');
+}
+
+/**
+ * Start tracking a rendered page's distance from the viewport
+ * @param {HTMLElement} page - Page element
+ */
+function registerPageForVirtualization(page) {
+    const observer = appState.getPageVirtualizationObserver();
+    if (observer) {
+        observer.observe(page);
+    }
+}
+
+/**
+ * Release a page's heavy resources, leaving a placeholder of the same size
+ * @param {HTMLElement} page - Page element
+ */
+function dehydratePage(page) {
+    const pageNumber = parseInt(page.getAttribute('data-page'), 10);
+    
+    // Leave pages alone while they are rendering, already unloaded, or showing an error
+    if (appState.getPagesInFlight().has(pageNumber) ||
+        page.classList.contains('virtualized') ||
+        page.classList.contains('load-error')) {
+        return;
+    }
+    
+    const imageData = appState.getLoadedImage(pageNumber);
+    if (!imageData) {
+        return;
+    }
+    
+    const zoomistInstance = appState.getZoomistInstance(pageNumber);
+    if (zoomistInstance && typeof zoomistInstance.destroy === 'function') {
+        zoomistInstance.destroy();
+    }
+    appState.removeZoomistInstance(pageNumber);
+    
+    detachHotspotsFromPage(page);
+    detachAnimationsFromPage(page);
+    
+    const img = page.querySelector('img.portfolio-image');
+    if (img) {
+        ResourceRegistry.revoke(img.src);
+        img.removeAttribute('srcset');
+        img.removeAttribute('src');
+    }
+    
+    // The fetched element held the decoded bitmap - drop it so re-hydration loads by path
+    imageData.imageElement = null;
+    
+    page.replaceChildren(createPagePreviewElement(pageNumber) ||
+        DOM.createSkeletonElement({ width: imageData.width, height: imageData.height }));
+    page.classList.add('virtualized');
+    appState.removeLivePage(pageNumber);
+    
+    if (CONFIG.DEBUG.ENABLED) {
+        ErrorHandler.log(`Virtualized page ${pageNumber} (live pages: ${appState.getLivePages().size})`);
+    }
+}
+
+/**
+ * Re-render a virtualized page that has come back near the viewport
+ * @param {HTMLElement} page - Page element
+ * @returns {Promise<void>}
+ */
+async function rehydratePage(page) {
+    const pageNumber = parseInt(page.getAttribute('data-page'), 10);
+    const imageData = appState.getLoadedImage(pageNumber);
+    if (!imageData || appState.getPagesInFlight().has(pageNumber)) {
+        return;
+    }
+    
+    page.classList.remove('virtualized');
+    page.classList.add('loading');
+    page.setAttribute('aria-busy', 'true');
+    appState.addPageInFlight(pageNumber);
+    
+    const index = appState.getLoadedImages().indexOf(imageData);
+    await hydratePortfolioPage(page, imageData, index);
+    
+    appState.removePageInFlight(pageNumber);
+    
+    // The user may have scrolled away again while the image was loading
+    if (page.dataset.nearViewport === 'false') {
+        dehydratePage(page);
+    }
+}
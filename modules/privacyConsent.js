@@ -0,0 +1,81 @@
+/**
+ * Privacy Consent Module
+ * Asks before the modal loads a YouTube or Vimeo player (a third-party request),
+ * when CONFIG.PRIVACY.EMBED_CONSENT is on
+ */
+
+const EMBED_CONSENT_STORAGE_KEY = 'portfolio-embed-consent';
+
+// Consent given for this visit only ("remember" left unticked)
+let embedConsentThisVisit = false;
+
+/**
+ * Check whether third-party players may load
+ * @returns {boolean} True if consent isn't required, or was given now or on an earlier visit
+ */
+function hasEmbedConsent() {
+    if (!CONFIG.PRIVACY.EMBED_CONSENT || embedConsentThisVisit) {
+        return true;
+    }
+    
+    try {
+        return localStorage.getItem(EMBED_CONSENT_STORAGE_KEY) === 'granted';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Give or withdraw consent for third-party players
+ * @param {boolean} granted - True to allow players to load
+ * @param {boolean} [remember=true] - Keep the choice in localStorage for later visits
+ */
+function setEmbedConsent(granted, remember = true) {
+    embedConsentThisVisit = granted;
+    
+    try {
+        if (granted && remember) {
+            localStorage.setItem(EMBED_CONSENT_STORAGE_KEY, 'granted');
+        } else if (!granted) {
+            localStorage.removeItem(EMBED_CONSENT_STORAGE_KEY);
+        }
+    } catch (error) {
+        // Storage unavailable - the choice lasts for this visit only
+    }
+}
+
+/**
+ * Get the service an embed URL loads from, for the consent message
+ * @param {string} embedUrl - Player URL
+ * @returns {Object} { name, host }
+ */
+function getEmbedProvider(embedUrl) {
+    const host = new URL(embedUrl).hostname;
+    return {
+        name: embedUrl.startsWith(CONFIG.VIMEO.EMBED_BASE_URL) ? 'Vimeo' : 'YouTube',
+        host
+    };
+}
+
+/**
+ * Initialize privacy consent helpers
+ */
+function initializePrivacyConsent() {
+    if (typeof window.PortfolioApp !== 'undefined') {
+        /**
+         * Consent for YouTube and Vimeo players (CONFIG.PRIVACY.EMBED_CONSENT)
+         * @namespace PortfolioApp.privacy
+         *
+         * @example
+         * // A "privacy settings" link can withdraw consent; the next video asks again
+         * PortfolioApp.privacy.setEmbedConsent(false);
+         *
+         * @example
+         * PortfolioApp.privacy.hasEmbedConsent();
+         */
+        window.PortfolioApp.privacy = {
+            hasEmbedConsent,
+            setEmbedConsent
+        };
+    }
+}
@@ -0,0 +1,234 @@
+/**
+ * YouTube Player Module
+ * Wraps the modal's YouTube iframe with the IFrame Player API (enablejsapi=1 in CONFIG.YOUTUBE.EMBED_PARAMS)
+ * and reports ready, play, pause, ended, progress and error events
+ * Speaks the postMessage protocol that www.youtube.com/iframe_api uses, so no extra third-party script
+ * is loaded (see CONFIG.PRIVACY.EMBED_CONSENT): announce with "listening" until the player answers,
+ * then subscribe to the events with addEventListener commands
+ */
+
+// Player states from the IFrame Player API's onStateChange
+const YOUTUBE_PLAYER_STATES = { ENDED: 0, PLAYING: 1, PAUSED: 2 };
+
+// Player events subscribed to once the player is ready (onReady and info deliveries arrive unasked)
+const YOUTUBE_SUBSCRIBED_EVENTS = ['onStateChange', 'onError'];
+
+// The player only answers once its own script runs - "listening" is repeated until it does
+const YOUTUBE_LISTEN_RETRY_MS = 250;
+const YOUTUBE_LISTEN_MAX_ATTEMPTS = 40;
+
+const YOUTUBE_PLAYER_EVENTS = ['ready', 'play', 'pause', 'ended', 'progress', 'error'];
+
+// Reader-facing messages for the API's onError codes
+const YOUTUBE_PLAYER_ERRORS = {
+    2: 'This video link is not valid.',
+    5: 'This video can\'t be played in this browser.',
+    100: 'This video has been removed or made private.',
+    101: 'The owner of this video doesn\'t allow it to be played here.',
+    150: 'The owner of this video doesn\'t allow it to be played here.'
+};
+
+/**
+ * Get the reader-facing message for a player error code
+ * @param {number} code - onError code
+ * @returns {string} Message
+ */
+function getYouTubeErrorMessage(code) {
+    return YOUTUBE_PLAYER_ERRORS[code] || 'This video can\'t be played here.';
+}
+
+/**
+ * Get the youtube.com address of the video (or playlist) an embed URL plays
+ * @param {string} embedUrl - Embed URL
+ * @param {string|null} videoId - Current video, if the player has reported it
+ * @returns {string} Watch or playlist URL
+ */
+function getYouTubeWatchUrl(embedUrl, videoId) {
+    const url = new URL(embedUrl, window.location.href);
+    const listId = url.searchParams.get('list');
+    const embeddedId = url.pathname.split('/').pop();
+    const id = videoId || (embeddedId !== 'videoseries' ? embeddedId : null);
+    
+    if (!id) {
+        return `https://www.youtube.com/playlist?list=${listId}`;
+    }
+    return `https://www.youtube.com/watch?v=${id}${listId ? `&list=${listId}` : ''}`;
+}
+
+/**
+ * Wrap a YouTube embed iframe
+ * The iframe keeps being loaded by setting its src; the wrapper re-attaches after every load
+ * @param {HTMLIFrameElement} iframe - Player iframe
+ * @returns {Object} { on, off, command, getStatus }
+ */
+function createYouTubePlayer(iframe) {
+    const origin = new URL(CONFIG.YOUTUBE.EMBED_BASE_URL).origin;
+    const listeners = new Map(YOUTUBE_PLAYER_EVENTS.map(name => [name, new Set()]));
+    let status = null;
+    let listenTimer = null;
+    
+    const isYouTubeEmbed = () => (iframe.getAttribute('src') || '').startsWith(CONFIG.YOUTUBE.EMBED_BASE_URL);
+    
+    const resetStatus = () => {
+        const src = iframe.getAttribute('src') || '';
+        const embeddedId = src.split('?')[0].split('/').pop();
+        status = {
+            src,
+            videoId: embeddedId && embeddedId !== 'videoseries' ? embeddedId : null,
+            state: null,
+            currentTime: 0,
+            duration: 0,
+            playlistIndex: null,
+            playlistLength: null
+        };
+    };
+    
+    const emit = (name, detail = {}) => {
+        const payload = {
+            videoId: status.videoId,
+            currentTime: status.currentTime,
+            duration: status.duration,
+            ...detail
+        };
+        listeners.get(name).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                ErrorHandler.warn(`YouTube player "${name}" listener failed`, error);
+            }
+        });
+    };
+    
+    const post = (message) => {
+        if (!iframe.contentWindow || !isYouTubeEmbed()) return;
+        iframe.contentWindow.postMessage(JSON.stringify({ ...message, id: iframe.id, channel: 'widget' }), origin);
+    };
+    
+    const stopListening = () => {
+        clearInterval(listenTimer);
+        listenTimer = null;
+    };
+    
+    // Announce until the player answers; the first "listening" often arrives before its script runs
+    const startListening = () => {
+        stopListening();
+        if (!isYouTubeEmbed()) return;
+        
+        let attempts = 0;
+        const announce = () => {
+            if (++attempts > YOUTUBE_LISTEN_MAX_ATTEMPTS) {
+                stopListening();
+                ErrorHandler.warn(`YouTube player for ${status.videoId || status.src} never answered - playback events are unavailable`);
+                return;
+            }
+            post({ event: 'listening' });
+        };
+        announce();
+        listenTimer = setInterval(announce, YOUTUBE_LISTEN_RETRY_MS);
+    };
+    
+    const handleMessage = (event) => {
+        if (event.source !== iframe.contentWindow || event.origin !== origin || typeof event.data !== 'string') return;
+        
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            return;
+        }
+        if (!message || !status) return;
+        
+        // Any message means the player heard us
+        stopListening();
+        
+        const info = message.info;
+        switch (message.event) {
+            case 'onReady':
+                YOUTUBE_SUBSCRIBED_EVENTS.forEach(name => post({ event: 'command', func: 'addEventListener', args: [name] }));
+                emit('ready');
+                break;
+            case 'initialDelivery':
+            case 'infoDelivery':
+                if (!info) return;
+                if (typeof info.currentTime === 'number') status.currentTime = info.currentTime;
+                if (typeof info.duration === 'number') status.duration = info.duration;
+                if (info.videoData && info.videoData.video_id) status.videoId = info.videoData.video_id;
+                if (Array.isArray(info.playlist)) status.playlistLength = info.playlist.length;
+                if (typeof info.playlistIndex === 'number') status.playlistIndex = info.playlistIndex;
+                emit('progress', { playlistIndex: status.playlistIndex, playlistLength: status.playlistLength });
+                break;
+            case 'onStateChange': {
+                status.state = info;
+                const name = {
+                    [YOUTUBE_PLAYER_STATES.PLAYING]: 'play',
+                    [YOUTUBE_PLAYER_STATES.PAUSED]: 'pause',
+                    [YOUTUBE_PLAYER_STATES.ENDED]: 'ended'
+                }[info];
+                if (name) emit(name);
+                break;
+            }
+            case 'onError':
+                ErrorHandler.warn(`YouTube player error ${info} for video ${status.videoId || status.src}`);
+                emit('error', {
+                    code: info,
+                    message: getYouTubeErrorMessage(info),
+                    watchUrl: getYouTubeWatchUrl(status.src, status.videoId)
+                });
+                break;
+        }
+    };
+    
+    // Each load is a new player document - start listening to it again
+    iframe.addEventListener('load', () => {
+        resetStatus();
+        startListening();
+    });
+    window.addEventListener('message', handleMessage);
+    resetStatus();
+    
+    return {
+        /**
+         * Listen for a player event
+         * @param {string} name - ready, play, pause, ended, progress or error
+         * @param {Function} handler - Called with { videoId, currentTime, duration, ... }
+         * @returns {Function} Removes the listener
+         */
+        on(name, handler) {
+            if (!listeners.has(name)) {
+                ErrorHandler.warn(`Unknown YouTube player event "${name}" (must be one of ${YOUTUBE_PLAYER_EVENTS.join(', ')})`);
+                return () => {};
+            }
+            listeners.get(name).add(handler);
+            return () => listeners.get(name).delete(handler);
+        },
+        
+        /**
+         * Stop listening for a player event
+         * @param {string} name - Event name
+         * @param {Function} handler - Handler passed to on()
+         */
+        off(name, handler) {
+            if (listeners.has(name)) {
+                listeners.get(name).delete(handler);
+            }
+        },
+        
+        /**
+         * Run a player function, e.g. command('nextVideo') or command('seekTo', [30, true])
+         * @param {string} func - IFrame Player API function name
+         * @param {Array} [args=[]] - Arguments
+         */
+        command(func, args = []) {
+            post({ event: 'command', func, args });
+        },
+        
+        /**
+         * Get what the player last reported
+         * @returns {Object} { videoId, state, currentTime, duration, playlistIndex, playlistLength }
+         */
+        getStatus() {
+            const { src, ...current } = status;
+            return current;
+        }
+    };
+}
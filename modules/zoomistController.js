@@ -5,6 +5,12 @@
 
 // Testing flag is now in CONFIG.ZOOMIST.DISABLE_FOR_TESTING
 
+// Resolves once the Zoomist script has loaded (or failed to)
+let zoomistLibraryPromise = null;
+
+// Whether the native pinch-zoom listener (pages without Zoomist) is in place
+let pinchZoomUpgradeReady = false;
+
 /**
  * Check if device is mobile
  * @returns {boolean} True if mobile device
@@ -14,11 +20,37 @@ function isMobile() {
 }
 
 /**
- * Initialize Zoomist for a page
- * @param {HTMLElement} pageDiv - Page div element
- * @param {HTMLElement} zoomistContainer - Zoomist container element
- * @param {number} pageNumber - Page number
+ * Load the Zoomist script and stylesheet, from the CDN or from CONFIG.ZOOMIST.LOCAL_PATH when self-hosted
+ * Loaded once, when the first page needs zooming - phones never request it
+ * @returns {Promise<boolean>} True once Zoomist is available
  */
+function loadZoomistLibrary() {
+    if (typeof Zoomist !== 'undefined') {
+        return Promise.resolve(true);
+    }
+    if (zoomistLibraryPromise) {
+        return zoomistLibraryPromise;
+    }
+    
+    const baseUrl = CONFIG.ZOOMIST.SELF_HOSTED ? CONFIG.ZOOMIST.LOCAL_PATH : CONFIG.ZOOMIST.CDN_URL;
+    document.head.appendChild(DOM.createElement('link', null, { rel: 'stylesheet', href: `${baseUrl}zoomist.css` }));
+    
+    zoomistLibraryPromise = new Promise((resolve) => {
+        const script = DOM.createElement('script', null, { src: `${baseUrl}zoomist.umd.js` });
+        const settle = () => {
+            const loaded = typeof Zoomist !== 'undefined';
+            if (!loaded) {
+                ErrorHandler.warn(`Zoomist library failed to load from ${script.src} - pages won't zoom`);
+            }
+            resolve(loaded);
+        };
+        script.addEventListener('load', settle);
+        script.addEventListener('error', settle);
+        document.head.appendChild(script);
+    });
+    return zoomistLibraryPromise;
+}
+
 /**
  * Setup custom wheel zoom handler for Zoomist
  * @param {HTMLElement} zoomistContainer - Zoomist container element
@@ -94,6 +126,30 @@ function setupZoomistWheelHandler(zoomistContainer, zoomistInstance, pageDiv, pa
     }, { passive: false });
 }
 
+/**
+ * Load full-resolution files for the pages in view when the reader pinch-zooms the whole page
+ * Touch devices use native pinch zoom instead of Zoomist; set up once
+ */
+function setupPinchZoomUpgrade() {
+    if (pinchZoomUpgradeReady || !window.visualViewport) {
+        return;
+    }
+    pinchZoomUpgradeReady = true;
+    
+    window.visualViewport.addEventListener('resize', () => {
+        if (window.visualViewport.scale <= 1 || typeof upgradePageToFullResolution !== 'function') {
+            return;
+        }
+        
+        document.querySelectorAll(CONFIG.SELECTORS.PORTFOLIO_PAGE).forEach(page => {
+            const rect = page.getBoundingClientRect();
+            if (rect.bottom > 0 && rect.top < window.innerHeight) {
+                upgradePageToFullResolution(page);
+            }
+        });
+    });
+}
+
 /**
  * Initialize Zoomist for a page
  * @param {HTMLElement} pageDiv - Page div element
@@ -109,27 +165,26 @@ function initializeZoomistForPage(pageDiv, zoomistContainer, pageNumber) {
         return;
     }
     
-    // Mobile detection: disable zoomist on mobile devices
-    if (isMobile()) {
-        // On mobile, don't initialize zoomist - rely on native pinch-to-zoom
-        return;
-    }
-    
-    // Check if Zoomist is available (loaded from CDN)
-    if (typeof Zoomist === 'undefined') {
-        ErrorHandler.warn('Zoomist library not loaded');
+    // Zooming and panning would fight the editors' drag gestures and skew their coordinates
+    if ((typeof isHotspotEditorActive === 'function' && isHotspotEditorActive()) ||
+        (typeof isAnimationEditorActive === 'function' && isAnimationEditorActive())) {
         return;
     }
     
     // Mobile detection: disable zoomist on mobile devices
     if (isMobile()) {
         // On mobile, don't initialize zoomist - rely on native pinch-to-zoom
+        setupPinchZoomUpgrade();
         return;
     }
     
-    // Check if Zoomist is available (loaded from CDN)
+    // Zoomist loads on first use; pages rendered meanwhile initialize once it arrives
     if (typeof Zoomist === 'undefined') {
-        ErrorHandler.warn('Zoomist library not loaded');
+        loadZoomistLibrary().then((loaded) => {
+            if (loaded && zoomistContainer.isConnected) {
+                initializeZoomistForPage(pageDiv, zoomistContainer, pageNumber);
+            }
+        });
         return;
     }
     
@@ -161,7 +216,15 @@ function initializeZoomistForPage(pageDiv, zoomistContainer, pageNumber) {
             bounds: true,       // Prevent panning beyond image edges
             slider: false,      // No UI slider
             zoomer: false,      // No UI zoom buttons
-            wheelable: false    // Disable default wheel zoom - we'll handle it with Ctrl+wheel
+            wheelable: false,   // Disable default wheel zoom - we'll handle it with Ctrl+wheel
+            on: {
+                // Every zoom (Ctrl+wheel, pinch, zoomTo) - viewport-sized variants look soft when magnified
+                zoom(zoomist, scale) {
+                    if (scale > 1 && typeof upgradePageToFullResolution === 'function') {
+                        upgradePageToFullResolution(pageDiv);
+                    }
+                }
+            }
         });
         
         // Store instance for potential cleanup
@@ -27,6 +27,78 @@ if (typeof window.PortfolioApp !== 'undefined' && typeof window.PortfolioApp.deb
 
 // ===== INITIALIZATION =====
 
+/**
+ * Load the active collection's hotspot and animation configs and its pages into the container
+ * Runs on startup and again whenever the reader switches collections
+ * @param {HTMLElement} container - Portfolio container
+ * @returns {Promise<void>}
+ */
+async function loadPortfolioContent(container) {
+    const collectionId = appState.getCollectionId();
+    
+    // Start loading both configs in parallel
+    const hotspotConfigPromise = loadHotspotConfigs().catch(error => {
+        // Hotspots are optional - log warning but don't block page loading
+        ErrorHandler.warn('Hotspot configs failed to load, continuing without hotspots', error);
+        return null; // Return null to indicate failure
+    });
+    appState.setHotspotConfigsReady(hotspotConfigPromise);
+    
+    const animationConfigPromise = loadAnimationConfigs().catch(error => {
+        // Animation configs are required - but empty array is acceptable
+        ErrorHandler.warn('Animation configs failed to load, continuing with no animations', error);
+        return []; // Return empty array as fallback
+    });
+    
+    // Titles, captions and alt text fill in on pages that rendered before they arrived
+    loadPageMetadata().catch(error => {
+        ErrorHandler.warn('Page metadata failed to load, continuing with default alt text', error);
+    });
+    
+    // Start loading pages immediately - don't wait for configs
+    // Configs will attach when ready, even if pages are already rendering
+    await initializePortfolioPages(
+        container,
+        (imageData, index, container) => {
+            // renderPortfolioPage is now in modules/pageRenderer.js
+            // Pass empty array initially - animations will attach later
+            return renderPortfolioPage(imageData, index, container, []);
+        },
+        showGlobalLoader,
+        hideGlobalLoader
+    );
+    
+    // Animation configs continue loading in background
+    animationConfigPromise.then((animationConfigs) => {
+        // The reader switched collections meanwhile - these configs belong to the old one
+        if (appState.getCollectionId() !== collectionId) {
+            return;
+        }
+        
+        // Store in appState for pages that render later
+        appState.setAnimationConfigs(animationConfigs);
+        
+        // Attach animations to all existing pages
+        attachAnimationsToAllPages(animationConfigs);
+        ErrorHandler.log('Animation configs loaded - animations attached to pages');
+        refreshAnimationEditor();
+    }).catch(() => {
+        // Already handled in catch above (returns empty array)
+        appState.setAnimationConfigs([]);
+    });
+    
+    // Hotspot configs continue loading in background
+    // They will attach to pages when ready via attachHotspotsToPage() which checks appState
+    hotspotConfigPromise.then(() => {
+        // Hotspots are now loaded and will attach to any already-rendered pages
+        // via the existing attachHotspotsToPage() mechanism
+        ErrorHandler.log('Hotspot configs loaded - hotspots will attach to pages');
+        refreshHotspotEditor();
+    }).catch(() => {
+        // Already handled in catch above
+    });
+}
+
 /**
  * Initialize the portfolio application
  */
@@ -54,16 +126,27 @@ document.addEventListener('DOMContentLoaded', async () => {
         Validation: typeof Validation !== 'undefined',
         DOM: typeof DOM !== 'undefined',
         appState: typeof appState !== 'undefined',
-        Zoomist: typeof Zoomist !== 'undefined',
+        loadZoomistLibrary: typeof loadZoomistLibrary === 'function',
         initializeAnimations: typeof initializeAnimations === 'function',
         initializeHotspotDiscovery: typeof initializeHotspotDiscovery === 'function',
         initializeYouTubeModal: typeof initializeYouTubeModal === 'function',
+        initializePrivacyConsent: typeof initializePrivacyConsent === 'function',
+        createYouTubePlayer: typeof createYouTubePlayer === 'function',
         loadHotspotConfigs: typeof loadHotspotConfigs === 'function',
+        initializeHotspotEditor: typeof initializeHotspotEditor === 'function',
+        initializeAnimationEditor: typeof initializeAnimationEditor === 'function',
         loadAnimationConfigs: typeof loadAnimationConfigs === 'function',
+        loadPageMetadata: typeof loadPageMetadata === 'function',
+        createFetchScheduler: typeof createFetchScheduler === 'function',
+        detectImageFormatSupport: typeof detectImageFormatSupport === 'function',
+        initializeNetworkProfile: typeof initializeNetworkProfile === 'function',
         initializePortfolioPages: typeof initializePortfolioPages === 'function',
         renderPortfolioPage: typeof renderPortfolioPage === 'function',
+        initializePageVirtualization: typeof initializePageVirtualization === 'function',
         setupHashNavigation: typeof setupHashNavigation === 'function',
-        initializePerformanceOptimizations: typeof initializePerformanceOptimizations === 'function'
+        initializeCollections: typeof initializeCollections === 'function',
+        initializePerformanceOptimizations: typeof initializePerformanceOptimizations === 'function',
+        initializeOfflineSupport: typeof initializeOfflineSupport === 'function'
     };
     
     const availableModules = Object.entries(modules).filter(([name, available]) => available).map(([name]) => name);
@@ -85,63 +168,40 @@ document.addEventListener('DOMContentLoaded', async () => {
         initializeAnimations();
         initializeHotspotDiscovery();
         initializeYouTubeModal();
+        initializePrivacyConsent();
+        initializePageMetadata();
+        initializeHotspotEditor();
+        initializeAnimationEditor();
         initializePerformanceOptimizations();
-
+        initializePageVirtualization();
+        
+        // Pick the loading profile before any page is fetched
+        initializeNetworkProfile();
+        
+        // Release any blob URLs still held when the page is unloaded for good
+        window.addEventListener('pagehide', (event) => {
+            if (!event.persisted) {
+                ResourceRegistry.revokeAll();
+            }
+        });
+        
+        // Offline support registers in the background - never blocks page loading
+        initializeOfflineSupport().catch(error => {
+            ErrorHandler.warn('Offline support failed to initialize', error);
+        });
+        
         // Get container ready while configs are loading (no async dependency)
         const container = document.getElementById('portfolio-container');
         if (!container) {
             ErrorHandler.error('Portfolio container not found');
             return;
         }
-
-        // Start loading both configs in parallel
-        const hotspotConfigPromise = loadHotspotConfigs().catch(error => {
-            // Hotspots are optional - log warning but don't block page loading
-            ErrorHandler.warn('Hotspot configs failed to load, continuing without hotspots', error);
-            return null; // Return null to indicate failure
-        });
-
-        const animationConfigPromise = loadAnimationConfigs().catch(error => {
-            // Animation configs are required - but empty array is acceptable
-            ErrorHandler.warn('Animation configs failed to load, continuing with no animations', error);
-            return []; // Return empty array as fallback
-        });
-
-        // Start loading pages immediately - don't wait for configs
-        // Configs will attach when ready, even if pages are already rendering
-        await initializePortfolioPages(
-            container,
-            (imageData, index, container) => {
-                // renderPortfolioPage is now in modules/pageRenderer.js
-                // Pass empty array initially - animations will attach later
-                return renderPortfolioPage(imageData, index, container, []);
-            },
-            showGlobalLoader,
-            hideGlobalLoader
-        );
-
-        // Animation configs continue loading in background
-        animationConfigPromise.then((animationConfigs) => {
-            // Store in appState for pages that render later
-            appState.setAnimationConfigs(animationConfigs);
-            
-            // Attach animations to all existing pages
-            attachAnimationsToAllPages(animationConfigs);
-            ErrorHandler.log('Animation configs loaded - animations attached to pages');
-        }).catch(() => {
-            // Already handled in catch above (returns empty array)
-            appState.setAnimationConfigs([]);
-        });
-
-        // Hotspot configs continue loading in background
-        // They will attach to pages when ready via attachHotspotsToPage() which checks appState
-        hotspotConfigPromise.then(() => {
-            // Hotspots are now loaded and will attach to any already-rendered pages
-            // via the existing attachHotspotsToPage() mechanism
-            ErrorHandler.log('Hotspot configs loaded - hotspots will attach to pages');
-        }).catch(() => {
-            // Already handled in catch above
-        });
+        
+        // Pick the collection named in the URL hash (when CONFIG.COLLECTIONS.LIST is set)
+        initializeCollections(container, loadPortfolioContent);
+        
+        // Load configs and pages for the active collection
+        await loadPortfolioContent(container);
         
         // Setup hash navigation
         setupHashNavigation();
@@ -155,7 +215,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 }
             }, 3000); // Wait 3 seconds for all pages to load
         }
-
+        
     } catch (error) {
         ErrorHandler.error('Error initializing portfolio', error);
     } finally {
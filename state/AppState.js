@@ -5,9 +5,24 @@
 
 class AppState {
     constructor() {
+        // Collection state (null when CONFIG.COLLECTIONS.LIST is empty)
+        this.collectionId = null;
+        this.resetCollectionState();
+        
+        // Modal state
+        this.lastFocusedElement = null;
+        
+        // Loader state
+        this.globalLoaderElement = null;
+        this.globalLoaderLabel = null;
+    }
+
+    // Everything below belongs to one collection and is replaced when the reader switches collections
+    resetCollectionState() {
         // Hotspot state
         this.hotspotConfigs = [];
         this.hotspotConfigsByPage = new Map();
+        this.hotspotConfigsReady = Promise.resolve();
         this.hotspotElements = [];
         
         // Page state
@@ -16,26 +31,53 @@ class AppState {
         this.allPagesLoaded = false;
         this.maxLoadedPageNumber = 0;
         this.pageReadyResolvers = new Map();
+        this.pageManifest = null;
+        this.pagePreviews = new Map();
+        this.pageMetadata = new Map();
+        this.livePages = new Set();
+        this.fetchScheduler = null;
+        this.pageLoadContext = null;
         
         // Observer state
         this.pageVisibilityObserver = null;
+        this.pageVirtualizationObserver = null;
+        this.fetchPriorityObserver = null;
         this.hotspotObserver = null;
+        this.currentPageObserver = null;
         this.animatedHotspots = new Set();
         
-        // Modal state
-        this.lastFocusedElement = null;
-        
         // Zoomist state
         this.zoomistInstances = new Map();
         
-        // Loader state
-        this.globalLoaderElement = null;
-        this.globalLoaderLabel = null;
-        
         // Animation state
         this.animationConfigs = [];
     }
 
+    // Collection methods
+    getCollectionId() {
+        return this.collectionId;
+    }
+
+    setCollectionId(collectionId) {
+        this.collectionId = collectionId;
+    }
+
+    resetForCollection(collectionId) {
+        // Observers hold on to the previous collection's page elements
+        [
+            this.pageVisibilityObserver,
+            this.pageVirtualizationObserver,
+            this.fetchPriorityObserver,
+            this.hotspotObserver,
+            this.currentPageObserver
+        ].forEach(observer => {
+            if (observer) observer.disconnect();
+        });
+        
+        this.collectionId = collectionId;
+        this.resetCollectionState();
+    }
+
     // Hotspot methods
     getHotspotConfigs() {
         return this.hotspotConfigs;
@@ -49,6 +91,15 @@ class AppState {
         return this.hotspotConfigsByPage;
     }
 
+    // Settles once the collection's hotspot configs have loaded (or failed to)
+    getHotspotConfigsReady() {
+        return this.hotspotConfigsReady;
+    }
+
+    setHotspotConfigsReady(promise) {
+        this.hotspotConfigsReady = promise;
+    }
+
     getHotspotElements() {
         return this.hotspotElements;
     }
@@ -61,6 +112,12 @@ class AppState {
         this.hotspotElements = [];
     }
 
+    removeHotspotElementsForPage(page) {
+        const removed = this.hotspotElements.filter(entry => entry.page === page);
+        this.hotspotElements = this.hotspotElements.filter(entry => entry.page !== page);
+        return removed;
+    }
+
     // Animation methods
     getAnimationConfigs() {
         return this.animationConfigs;
@@ -92,6 +149,10 @@ class AppState {
         this.loadedImages = images;
     }
 
+    getLoadedImage(pageNumber) {
+        return this.loadedImages.find(image => image.pageNumber === pageNumber) || null;
+    }
+
     getPagesInFlight() {
         return this.pagesInFlight;
     }
@@ -160,6 +221,71 @@ class AppState {
         return this.pageReadyResolvers;
     }
 
+    getPageManifest() {
+        return this.pageManifest;
+    }
+
+    setPageManifest(manifest) {
+        this.pageManifest = manifest;
+    }
+
+    getLivePages() {
+        return this.livePages;
+    }
+
+    addLivePage(pageNumber) {
+        this.livePages.add(pageNumber);
+    }
+
+    removeLivePage(pageNumber) {
+        this.livePages.delete(pageNumber);
+    }
+
+    getPageManifestEntry(pageNumber) {
+        if (!this.pageManifest) return null;
+        return this.pageManifest.pages.find(entry => entry.pageNumber === pageNumber) || null;
+    }
+
+    getPagePreviews() {
+        return this.pagePreviews;
+    }
+
+    setPagePreviews(previews) {
+        this.pagePreviews = previews || new Map();
+    }
+
+    getPagePreview(pageNumber) {
+        return this.pagePreviews.get(pageNumber) || null;
+    }
+
+    getPageMetadata() {
+        return this.pageMetadata;
+    }
+
+    setPageMetadata(metadata) {
+        this.pageMetadata = metadata || new Map();
+    }
+
+    getPageMetadataEntry(pageNumber) {
+        return this.pageMetadata.get(pageNumber) || null;
+    }
+
+    getFetchScheduler() {
+        return this.fetchScheduler;
+    }
+
+    setFetchScheduler(scheduler) {
+        this.fetchScheduler = scheduler;
+    }
+
+    getPageLoadContext() {
+        return this.pageLoadContext;
+    }
+
+    setPageLoadContext(context) {
+        this.pageLoadContext = context;
+    }
+
     // Observer methods
     getPageVisibilityObserver() {
         return this.pageVisibilityObserver;
@@ -169,6 +295,22 @@ class AppState {
         this.pageVisibilityObserver = observer;
     }
 
+    getPageVirtualizationObserver() {
+        return this.pageVirtualizationObserver;
+    }
+
+    setPageVirtualizationObserver(observer) {
+        this.pageVirtualizationObserver = observer;
+    }
+
+    getFetchPriorityObserver() {
+        return this.fetchPriorityObserver;
+    }
+
+    setFetchPriorityObserver(observer) {
+        this.fetchPriorityObserver = observer;
+    }
+
     getHotspotObserver() {
         return this.hotspotObserver;
     }
@@ -177,6 +319,14 @@ class AppState {
         this.hotspotObserver = observer;
     }
 
+    getCurrentPageObserver() {
+        return this.currentPageObserver;
+    }
+
+    setCurrentPageObserver(observer) {
+        this.currentPageObserver = observer;
+    }
+
     getAnimatedHotspots() {
         return this.animatedHotspots;
     }
@@ -207,6 +357,10 @@ class AppState {
         return this.zoomistInstances.get(pageNumber);
     }
 
+    removeZoomistInstance(pageNumber) {
+        this.zoomistInstances.delete(pageNumber);
+    }
+
     // Loader methods
     getGlobalLoaderElement() {
         return this.globalLoaderElement;
@@ -0,0 +1,242 @@
+/**
+ * Portfolio Service Worker
+ * Opt-in offline support (CONFIG.OFFLINE.ENABLED), registered by modules/offlineController.js
+ *
+ * The registration URL carries a content version (sw.js?v=<hash>). Every cache name includes
+ * that version, so a new version installs fresh caches and deletes the old ones on activation.
+ * It also carries what the worker cannot read from CONFIG: the config files of every collection
+ * (config=), the animation files whose icons to precache (animations=) and the icons folder (icons=).
+ */
+
+const REGISTRATION_PARAMS = new URL(self.location.href).searchParams;
+
+/**
+ * Read a comma-separated list from the registration URL
+ * @param {string} name - Search parameter name
+ * @returns {Array<string>} List entries
+ */
+function getListParam(name) {
+    return (REGISTRATION_PARAMS.get(name) || '').split(',').filter(Boolean);
+}
+
+const CACHE_VERSION = REGISTRATION_PARAMS.get('v') || 'dev';
+const SHELL_CACHE = `portfolio-shell-${CACHE_VERSION}`;
+const PAGES_CACHE = `portfolio-pages-${CACHE_VERSION}`;
+
+// Config files always go to the network first so edits are picked up (and change the version)
+const CONFIG_FILES = getListParam('config');
+const ANIMATION_FILES = getListParam('animations');
+const ICONS_FOLDER = REGISTRATION_PARAMS.get('icons') || 'assets/icons/';
+
+// Shell files that index.html does not reference directly
+const EXTRA_SHELL_FILES = [
+    './',
+    'index.html'
+];
+
+/**
+ * Collect same-origin script, stylesheet and image URLs referenced by index.html
+ * Keeps the precache list in sync with index.html without maintaining it by hand
+ * @param {string} html - index.html source
+ * @returns {Array<string>} Relative asset URLs
+ */
+function collectShellAssets(html) {
+    const assets = new Set();
+    const pattern = /(?:src|href)="([^"]+)"/g;
+    let match;
+    
+    while ((match = pattern.exec(html)) !== null) {
+        const url = match[1];
+        if (/^(?:https?:|data:|#|mailto:)/i.test(url) || url.endsWith('.pdf')) {
+            continue;
+        }
+        assets.add(url);
+    }
+    
+    return Array.from(assets);
+}
+
+/**
+ * Collect animation icons (and their companion CSS) listed in an animation config file (text or JSON)
+ * @param {string} text - Animation config contents
+ * @returns {Array<string>} Relative icon URLs
+ */
+function collectAnimationIcons(text) {
+    const icons = new Set();
+    
+    let iconFiles = [];
+    if (text.trim().startsWith('{')) {
+        try {
+            const data = JSON.parse(text);
+            iconFiles = (Array.isArray(data.animations) ? data.animations : []).map(entry => entry && entry.icon);
+        } catch (error) {
+            // Invalid JSON - the page reports it; precache without icons
+        }
+    } else {
+        text.split('\n').forEach(line => {
+            line = line.trim();
+            if (line === '' || line.startsWith('#')) return;
+            iconFiles.push(line.split(',').map(part => part.trim())[4]);
+        });
+    }
+    
+    iconFiles.forEach(iconFile => {
+        if (typeof iconFile === 'string' && iconFile.endsWith('.svg')) {
+            icons.add(`${ICONS_FOLDER}${iconFile}`);
+            icons.add(`${ICONS_FOLDER}${iconFile.replace(/\.svg$/i, '.css')}`);
+        }
+    });
+    
+    return Array.from(icons);
+}
+
+/**
+ * Add URLs to a cache one by one, ignoring individual failures (e.g. optional CSS files)
+ * @param {Cache} cache - Target cache
+ * @param {Array<string>} urls - URLs to cache
+ * @returns {Promise<number>} Number of URLs cached
+ */
+async function cacheEach(cache, urls) {
+    const results = await Promise.allSettled(urls.map(url => cache.add(url)));
+    return results.filter(result => result.status === 'fulfilled').length;
+}
+
+/**
+ * Precache the app shell: index.html and everything it references, config files and icons
+ * @returns {Promise<void>}
+ */
+async function precacheShell() {
+    const cache = await caches.open(SHELL_CACHE);
+    
+    const indexResponse = await fetch('index.html', { cache: 'no-cache' });
+    const shellAssets = collectShellAssets(await indexResponse.clone().text());
+    
+    let iconAssets = [];
+    for (const animationFile of ANIMATION_FILES) {
+        try {
+            const animationsResponse = await fetch(animationFile, { cache: 'no-cache' });
+            if (animationsResponse.ok) {
+                iconAssets.push(...collectAnimationIcons(await animationsResponse.text()));
+            }
+        } catch (error) {
+            // Animations are optional - precache the rest of the shell anyway
+        }
+    }
+    
+    await cacheEach(cache, [...EXTRA_SHELL_FILES, ...CONFIG_FILES, ...shellAssets, ...iconAssets]);
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('portfolio-') && key !== SHELL_CACHE && key !== PAGES_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Network first, falling back to the cache when offline
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to update and fall back to
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serve from the cache and refresh it in the background
+ * Only successful responses are stored (404 probes for missing formats are not)
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to read and update
+ * @param {FetchEvent} event - Fetch event (keeps the refresh alive)
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(request, cacheName, event) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    
+    const refresh = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+    
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    // Third-party embeds (YouTube) are never cached; CDN libraries are part of the shell
+    if (url.origin !== self.location.origin) {
+        if (url.hostname === 'cdn.jsdelivr.net') {
+            event.respondWith(staleWhileRevalidate(request, SHELL_CACHE, event));
+        }
+        return;
+    }
+    
+    const path = url.pathname.slice(self.registration.scope.length - self.location.origin.length);
+    
+    // Config files, manifests and previews, including those in collection folders (images/furniture/manifest.json)
+    if (CONFIG_FILES.includes(path) || path.startsWith('config/') || /^images\/(.+\/)?(manifest|previews)\.json$/.test(path)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (path.startsWith('images/')) {
+        // Re-checked in the background, so an image replaced under the same name shows up on the next visit.
+        // An uncached image the network can't reach is answered with a 404, so offline probes past the
+        // stored pages end the portfolio instead of being retried as network errors
+        event.respondWith(staleWhileRevalidate(request, PAGES_CACHE, event)
+            .catch(() => new Response(null, { status: 404 })));
+    } else {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE, event));
+    }
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    const port = event.ports && event.ports[0];
+    
+    if (message.type === 'CACHE_PAGES' && Array.isArray(message.urls)) {
+        // Make sure every page image the app settled on is stored, then report back
+        event.waitUntil(caches.open(PAGES_CACHE).then(async cache => {
+            const missing = [];
+            for (const url of message.urls) {
+                if (!(await cache.match(url))) missing.push(url);
+            }
+            const added = await cacheEach(cache, missing);
+            const cached = message.urls.length - missing.length + added;
+            if (port) port.postMessage({ type: 'CACHE_STATUS', cached, total: message.urls.length, version: CACHE_VERSION });
+        }));
+    } else if (message.type === 'CLEAR_CACHES') {
+        event.waitUntil(caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('portfolio-')).map(key => caches.delete(key))))
+            .then(() => {
+                if (port) port.postMessage({ type: 'CACHES_CLEARED' });
+            }));
+    }
+});
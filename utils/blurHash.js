@@ -0,0 +1,153 @@
+/**
+ * BlurHash utilities
+ * Decodes BlurHash strings (https://blurha.sh) into tiny preview images
+ */
+
+const BlurHash = {
+    /**
+     * Base83 alphabet used by BlurHash
+     */
+    CHARACTERS: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~',
+
+    /**
+     * Decode a base83 string into an integer
+     * @param {string} text - Base83 characters
+     * @returns {number} Decoded value
+     */
+    decode83: (text) => {
+        let value = 0;
+        for (const character of text) {
+            value = value * 83 + BlurHash.CHARACTERS.indexOf(character);
+        }
+        return value;
+    },
+
+    /**
+     * Convert an sRGB channel (0-255) to linear light
+     * @param {number} value - sRGB channel value
+     * @returns {number} Linear value (0-1)
+     */
+    sRGBToLinear: (value) => {
+        const v = value / 255;
+        return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    },
+
+    /**
+     * Convert a linear light value back to an sRGB channel
+     * @param {number} value - Linear value (0-1)
+     * @returns {number} sRGB channel value (0-255)
+     */
+    linearToSRGB: (value) => {
+        const v = Math.max(0, Math.min(1, value));
+        return v <= 0.0031308
+            ? Math.round(v * 12.92 * 255 + 0.5)
+            : Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+    },
+
+    /**
+     * Check that a string is a well-formed BlurHash
+     * @param {string} hash - BlurHash string
+     * @returns {boolean} True if valid
+     */
+    isValid: (hash) => {
+        if (typeof hash !== 'string' || hash.length < 6) {
+            return false;
+        }
+        if (Array.from(hash).some(character => BlurHash.CHARACTERS.indexOf(character) === -1)) {
+            return false;
+        }
+        
+        const sizeFlag = BlurHash.decode83(hash[0]);
+        const componentsX = (sizeFlag % 9) + 1;
+        const componentsY = Math.floor(sizeFlag / 9) + 1;
+        return hash.length === 4 + 2 * componentsX * componentsY;
+    },
+
+    /**
+     * Decode a BlurHash into RGBA pixels
+     * @param {string} hash - BlurHash string
+     * @param {number} width - Output width in pixels
+     * @param {number} height - Output height in pixels
+     * @returns {Uint8ClampedArray} RGBA pixel data
+     */
+    decode: (hash, width, height) => {
+        const sizeFlag = BlurHash.decode83(hash[0]);
+        const componentsX = (sizeFlag % 9) + 1;
+        const componentsY = Math.floor(sizeFlag / 9) + 1;
+        const maximumValue = (BlurHash.decode83(hash[1]) + 1) / 166;
+        
+        // First component is the average colour, the rest are quantised cosine coefficients
+        const colors = [];
+        for (let i = 0; i < componentsX * componentsY; i++) {
+            if (i === 0) {
+                const value = BlurHash.decode83(hash.substring(2, 6));
+                colors.push([
+                    BlurHash.sRGBToLinear(value >> 16),
+                    BlurHash.sRGBToLinear((value >> 8) & 255),
+                    BlurHash.sRGBToLinear(value & 255)
+                ]);
+            } else {
+                const value = BlurHash.decode83(hash.substring(4 + i * 2, 6 + i * 2));
+                const quantised = [Math.floor(value / 361), Math.floor(value / 19) % 19, value % 19];
+                colors.push(quantised.map(channel => {
+                    const normalized = (channel - 9) / 9;
+                    return Math.sign(normalized) * normalized * normalized * maximumValue;
+                }));
+            }
+        }
+        
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0;
+                let g = 0;
+                let b = 0;
+                
+                for (let j = 0; j < componentsY; j++) {
+                    for (let i = 0; i < componentsX; i++) {
+                        const basis = Math.cos((Math.PI * x * i) / width) * Math.cos((Math.PI * y * j) / height);
+                        const color = colors[i + j * componentsX];
+                        r += color[0] * basis;
+                        g += color[1] * basis;
+                        b += color[2] * basis;
+                    }
+                }
+                
+                const offset = 4 * (x + y * width);
+                pixels[offset] = BlurHash.linearToSRGB(r);
+                pixels[offset + 1] = BlurHash.linearToSRGB(g);
+                pixels[offset + 2] = BlurHash.linearToSRGB(b);
+                pixels[offset + 3] = 255;
+            }
+        }
+        
+        return pixels;
+    },
+
+    /**
+     * Render a BlurHash to a PNG data URL
+     * The image is tiny; CSS scales it up, which adds to the blur
+     * @param {string} hash - BlurHash string
+     * @param {number} width - Output width in pixels
+     * @param {number} height - Output height in pixels
+     * @returns {string|null} Data URL, or null if the hash is invalid or canvas is unavailable
+     */
+    toDataURL: (hash, width = 32, height = 32) => {
+        if (!BlurHash.isValid(hash)) {
+            return null;
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext ? canvas.getContext('2d') : null;
+        if (!context) {
+            return null;
+        }
+        
+        const imageData = context.createImageData(width, height);
+        imageData.data.set(BlurHash.decode(hash, width, height));
+        context.putImageData(imageData, 0, 0);
+        return canvas.toDataURL();
+    }
+};
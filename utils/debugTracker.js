@@ -548,6 +548,14 @@ function debugPageLoading() {
             console.log(`  All pages loaded: ${appState.getAllPagesLoaded()}`);
             console.log(`  Max loaded page number: ${appState.getMaxLoadedPageNumber()}`);
             console.log(`  Total loaded images: ${appState.getLoadedImages().length}`);
+            if (CONFIG.VIRTUALIZATION.ENABLED) {
+                const livePages = Array.from(appState.getLivePages()).sort((a, b) => a - b);
+                console.log(`  Live (non-virtualized) pages: [${livePages.join(', ') || 'none'}]`);
+            }
+            if (appState.getFetchScheduler()) {
+                const fetchStats = appState.getFetchScheduler().getStats();
+                console.log(`  Fetch slots: ${fetchStats.active}/${fetchStats.concurrency} active, ${fetchStats.queued} queued`);
+            }
         } else {
             console.log('  AppState not available');
         }
@@ -555,6 +563,24 @@ function debugPageLoading() {
         console.log('  State management data not available');
     }
     
+    // Image memory summary
+    console.log('\n🧠 IMAGE MEMORY:');
+    if (typeof ResourceRegistry !== 'undefined') {
+        const memory = ResourceRegistry.getStats();
+        console.log(`  Decoded page images: ${memory.decodedImages} (~${ResourceRegistry.formatBytes(memory.decodedBytes)})`);
+        console.log(`  Active blob URLs: ${memory.activeUrls} (${ResourceRegistry.formatBytes(memory.pendingBytes)} encoded, ${memory.held} waiting for the loader)`);
+        if (memory.leaked.length > 0) {
+            console.warn(`  ⚠️  ${memory.leaked.length} blob URL(s) never released:`);
+            memory.leaked.forEach(entry => {
+                console.warn(`    - page ${entry.pageNumber} (${entry.format}, ${ResourceRegistry.formatBytes(entry.bytes)}, ${entry.ageMs}ms old): ${entry.url}`);
+            });
+        } else {
+            console.log('  ✓ No leaked blob URLs');
+        }
+    } else {
+        console.log('  ResourceRegistry not available');
+    }
+    
     // Initialization summary
     console.log('\n🚀 INITIALIZATION:');
     console.log(`  initializePortfolioPages calls: ${initDebug.initializePortfolioPagesCallCount}`);
@@ -637,13 +663,19 @@ function debugPageLoading() {
         }
     };
     
+    if (typeof ResourceRegistry !== 'undefined') {
+        result.memory = ResourceRegistry.getStats();
+    }
+    
     // Add state info if appState is available
     try {
         if (typeof appState !== 'undefined') {
             result.state = {
                 pagesInFlight: Array.from(appState.getPagesInFlight()),
                 allPagesLoaded: appState.getAllPagesLoaded(),
-                maxLoadedPage: appState.getMaxLoadedPageNumber()
+                maxLoadedPage: appState.getMaxLoadedPageNumber(),
+                livePages: Array.from(appState.getLivePages()),
+                fetchScheduler: appState.getFetchScheduler() ? appState.getFetchScheduler().getStats() : null
             };
         }
     } catch (error) {
@@ -49,9 +49,22 @@ const DOM = {
     /**
      * Create the zoomist structure for an image
      * @param {HTMLImageElement} img - Image element
+     * @param {Object} responsive - Optional { srcset, sizes, fullResolutionPath } for width variants
      * @returns {HTMLElement} Zoomist container element
      */
-    createZoomistStructure: (img) => {
+    createZoomistStructure: (img, responsive = null) => {
+        if (responsive && responsive.srcset) {
+            // A fetched blob is already the chosen variant - srcset's file paths would download it again
+            if (!img.src.startsWith('blob:')) {
+                // sizes must be set before srcset so the browser resolves the same variant that was fetched
+                img.sizes = responsive.sizes;
+                img.srcset = responsive.srcset;
+            }
+            if (responsive.fullResolutionPath) {
+                img.dataset.fullSrc = responsive.fullResolutionPath;
+            }
+        }
+        
         const zoomistContainer = DOM.createElement('div', 'zoomist-container');
         const zoomistWrapper = DOM.createElement('div', 'zoomist-wrapper');
         const zoomistImage = DOM.createElement('div', 'zoomist-image', {}, img);
@@ -65,11 +78,17 @@ const DOM = {
     /**
      * Create a page loader element with bouncing dots animation
      * Creates a loader with three bouncing dots that animate while the page is loading
+     * @param {Object} dimensions - Optional intrinsic { width, height } to reserve the page's aspect ratio
      * @returns {HTMLElement} Page loader element with bouncing dots
      */
-    createSkeletonElement: () => {
+    createSkeletonElement: (dimensions = null) => {
         console.log('[LOADER] Creating page loader with bouncing dots');
         const loaderContainer = DOM.createElement('div', 'page-loader');
+        
+        // Reserve the real aspect ratio when known so the layout doesn't jump on load
+        if (dimensions && dimensions.width > 0 && dimensions.height > 0) {
+            loaderContainer.style.aspectRatio = `${dimensions.width} / ${dimensions.height}`;
+        }
         const loader = DOM.createElement('div', 'loader');
         
         // Create three bouncing dots (same structure as global spinner)
@@ -83,19 +102,75 @@ const DOM = {
         return loaderContainer;
     },
 
+    /**
+     * Create a low-quality preview image shown while a page loads
+     * @param {string} src - Preview URL (tiny image or data URL)
+     * @param {Object} dimensions - Optional { width, height } of the full image
+     * @returns {HTMLImageElement} Preview element
+     */
+    createPreviewElement: (src, dimensions = null) => {
+        const preview = DOM.createElement('img', 'page-preview', {
+            src,
+            alt: '',
+            'aria-hidden': 'true',
+            decoding: 'async'
+        });
+        
+        if (dimensions && dimensions.width > 0 && dimensions.height > 0) {
+            preview.style.aspectRatio = `${dimensions.width} / ${dimensions.height}`;
+        }
+        
+        return preview;
+    },
+
+    /**
+     * Replace a page's contents, cross-fading from its preview if it shows one
+     * The preview stays in place (so its opacity can transition) on top of the new content until faded out
+     * @param {HTMLElement} pageDiv - Page element
+     * @param {HTMLElement} content - New page content
+     */
+    replaceWithCrossFade: (pageDiv, content) => {
+        const preview = pageDiv.querySelector(':scope > .page-preview');
+        if (!preview) {
+            pageDiv.replaceChildren(content);
+            return;
+        }
+        
+        Array.from(pageDiv.children).forEach(child => {
+            if (child !== preview) child.remove();
+        });
+        pageDiv.insertBefore(content, preview);
+        preview.classList.add('is-fading');
+        
+        // transitionend doesn't fire when transitions are disabled, so also remove on a timer
+        const removePreview = () => preview.remove();
+        preview.addEventListener('transitionend', removePreview, { once: true });
+        setTimeout(removePreview, 1000);
+    },
+
     /**
      * Create a fallback error element
      * @param {string} message - Error message
+     * @param {Function} onRetry - Optional callback; adds a "Retry" button that calls it
      * @returns {HTMLElement} Fallback container
      */
-    createFallbackElement: (message = 'Unable to load this page.') => {
+    createFallbackElement: (message = 'Unable to load this page.', onRetry = null) => {
         const fallback = DOM.createElement('div', 'page-fallback');
-        const icon = DOM.createElement('div', 'page-fallback-icon', {}, '⚠️');
+        const icon = DOM.createElement('div', 'page-fallback-icon', { textContent: '⚠️' });
         const text = DOM.createElement('p', null, { textContent: message });
         
         fallback.appendChild(icon);
         fallback.appendChild(text);
         
+        if (typeof onRetry === 'function') {
+            const retryButton = DOM.createElement('button', 'page-fallback-retry', { type: 'button', textContent: 'Retry' });
+            retryButton.addEventListener('click', () => {
+                retryButton.disabled = true;
+                onRetry();
+            });
+            fallback.appendChild(retryButton);
+        }
+        
         return fallback;
     },
 
@@ -18,6 +18,10 @@
  * PortfolioApp.hidePageAnimation(2, 'animation-mouse', true);
  * 
  * @example
+ * // Image formats this browser decodes, and the ones skipped
+ * PortfolioApp.formatSupport;
+ * 
+ * @example
  * // Debug functions (when CONFIG.DEBUG.ENABLED = true)
  * PortfolioApp.debug.debugPageLoading();
  * PortfolioApp.debug.debugNetworkRequests();
@@ -0,0 +1,142 @@
+/**
+ * Resource Registry
+ * Owns the blob URLs created for fetched page images, revokes them once they are no longer needed
+ * and reports how much image memory the portfolio is holding
+ */
+
+const ResourceRegistry = {
+    /**
+     * Active blob URLs: url -> { pageNumber, format, bytes, width, height, createdAt, decoded }
+     */
+    entries: new Map(),
+
+    /**
+     * Blob URLs still registered after this long without being revoked are reported as leaked
+     * (unless their page is fetched and waiting for the loader, see isHeld())
+     */
+    LEAK_AGE_MS: 15000,
+
+    /**
+     * Create a blob URL and register it
+     * @param {Blob} blob - Image data
+     * @param {Object} details - { pageNumber, format } for debugging
+     * @returns {string} Blob URL
+     */
+    createObjectURL: (blob, details = {}) => {
+        const url = URL.createObjectURL(blob);
+        ResourceRegistry.entries.set(url, {
+            pageNumber: details.pageNumber || null,
+            format: details.format || null,
+            bytes: blob.size,
+            width: 0,
+            height: 0,
+            createdAt: performance.now(),
+            decoded: false
+        });
+        return url;
+    },
+
+    /**
+     * Record that the image behind a blob URL has decoded
+     * @param {string} url - Blob URL
+     * @param {HTMLImageElement} img - Decoded image
+     */
+    markDecoded: (url, img) => {
+        const entry = ResourceRegistry.entries.get(url);
+        if (entry) {
+            entry.decoded = true;
+            entry.width = img.naturalWidth;
+            entry.height = img.naturalHeight;
+        }
+    },
+
+    /**
+     * Revoke a blob URL (safe to call more than once)
+     * @param {string} url - Blob URL
+     */
+    revoke: (url) => {
+        if (typeof url !== 'string' || !url.startsWith('blob:')) {
+            return;
+        }
+        URL.revokeObjectURL(url);
+        ResourceRegistry.entries.delete(url);
+    },
+
+    /**
+     * Revoke an image's blob URL once the image is displayed
+     * The element keeps its decoded bitmap, so the blob itself is no longer needed
+     * @param {HTMLImageElement} img - Image inserted into the page
+     */
+    releaseWhenDisplayed: (img) => {
+        // src, not currentSrc: once srcset is set the browser may already show a variant URL
+        const url = img.src;
+        if (!ResourceRegistry.entries.has(url)) {
+            return;
+        }
+        
+        const decoded = typeof img.decode === 'function' ? img.decode() : Promise.resolve();
+        decoded.catch(() => {
+            // Decode errors surface through the page's own error handling
+        }).then(() => ResourceRegistry.revoke(url));
+    },
+
+    /**
+     * Revoke every registered blob URL (on page unload)
+     */
+    revokeAll: () => {
+        Array.from(ResourceRegistry.entries.keys()).forEach(ResourceRegistry.revoke);
+    },
+
+    /**
+     * Check whether a blob URL belongs to a fetched page the loader hasn't reached yet
+     * The lite profile can hold a prefetched page longer than LEAK_AGE_MS while earlier pages load
+     * @param {Object} entry - Registry entry
+     * @returns {boolean} True if the fetch scheduler still holds the page's result
+     */
+    isHeld: (entry) => {
+        const scheduler = typeof appState !== 'undefined' ? appState.getFetchScheduler() : null;
+        return Boolean(scheduler && entry.pageNumber !== null && scheduler.isHolding(entry.pageNumber));
+    },
+
+    /**
+     * Report blob URL and image memory usage
+     * Decoded memory counts every page image in the document at 4 bytes per pixel
+     * @returns {Object} { activeUrls, pendingBytes, decodedImages, decodedBytes, held, leaked }
+     */
+    getStats: () => {
+        const now = performance.now();
+        const entries = Array.from(ResourceRegistry.entries.entries());
+        
+        const liveImages = Array.from(document.querySelectorAll('img.portfolio-image'))
+            .filter(img => img.complete && img.naturalWidth > 0);
+        
+        return {
+            activeUrls: entries.length,
+            pendingBytes: entries.reduce((total, [, entry]) => total + entry.bytes, 0),
+            decodedImages: liveImages.length,
+            decodedBytes: liveImages.reduce((total, img) => total + img.naturalWidth * img.naturalHeight * 4, 0),
+            held: entries.filter(([, entry]) => ResourceRegistry.isHeld(entry)).length,
+            leaked: entries
+                .filter(([, entry]) => now - entry.createdAt > ResourceRegistry.LEAK_AGE_MS && !ResourceRegistry.isHeld(entry))
+                .map(([url, entry]) => ({
+                    url,
+                    pageNumber: entry.pageNumber,
+                    format: entry.format,
+                    bytes: entry.bytes,
+                    ageMs: Math.round(now - entry.createdAt)
+                }))
+        };
+    },
+
+    /**
+     * Format a byte count for logging
+     * @param {number} bytes - Byte count
+     * @returns {string} Human-readable size
+     */
+    formatBytes: (bytes) => {
+        if (bytes >= 1024 * 1024) {
+            return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        }
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+};
@@ -46,6 +46,82 @@ const Validation = {
         return Number.isInteger(num) && num >= 1;
     },
 
+    /**
+     * Validate a URL (absolute, or relative to the page)
+     * @param {string} value - URL to validate
+     * @param {Array<string>} protocols - Allowed protocols, e.g. ['http:', 'https:']
+     * @returns {boolean} True if valid
+     */
+    validateUrl: (value, protocols = ['http:', 'https:']) => {
+        if (typeof value !== 'string' || value.trim() === '') return false;
+        try {
+            return protocols.includes(new URL(value, window.location.href).protocol);
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Describe a problem with a config entry
+     * Text configs cite the line; JSON configs cite the field path, e.g. "hotspots[3].width"
+     * @param {Object} source - { line, label } for a text line, or { path } for a JSON entry
+     * @param {string|null} field - Field name, appended to JSON paths
+     * @param {string} message - What is wrong
+     * @returns {string} Warning text
+     */
+    describeConfigIssue: (source, field, message) => {
+        if (source.path) {
+            return `${field ? `${source.path}.${field}` : source.path}: ${message}`;
+        }
+        return `${message} in ${source.label}: ${source.line}`;
+    },
+
+    /**
+     * Read the entry list from a JSON config, e.g. { "hotspots": [...] }
+     * @param {string} text - JSON text
+     * @param {string} key - Property holding the entries
+     * @returns {Array|null} Entries, or null (with a warning) if the JSON is invalid
+     */
+    parseConfigJson: (text, key) => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            ErrorHandler.warn(`Invalid JSON in ${key} config: ${error.message}`);
+            return null;
+        }
+        
+        if (!data || !Array.isArray(data[key])) {
+            ErrorHandler.warn(`${key}: must be an array`);
+            return null;
+        }
+        return data[key];
+    },
+
+    /**
+     * Check a JSON config entry's fields against the names its schema allows
+     * Unknown fields are reported but tolerated; missing required fields reject the entry
+     * @param {*} entry - Entry from the JSON array
+     * @param {string} path - Entry path, e.g. "hotspots[3]"
+     * @param {Array<string>} required - Required field names
+     * @param {Array<string>} optional - Optional field names
+     * @returns {boolean} True if the entry is an object with every required field
+     */
+    validateConfigEntry: (entry, path, required, optional = []) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            ErrorHandler.warn(`${path}: must be an object`);
+            return false;
+        }
+        
+        Object.keys(entry)
+            .filter(field => !required.includes(field) && !optional.includes(field))
+            .forEach(field => ErrorHandler.warn(`${path}.${field}: unknown field (ignored)`));
+        
+        const missing = required.filter(field => entry[field] === undefined || entry[field] === null);
+        missing.forEach(field => ErrorHandler.warn(`${path}.${field}: is required`));
+        return missing.length === 0;
+    },
+
     /**
      * Validate that a value is not empty
      * @param {*} value - Value to validate